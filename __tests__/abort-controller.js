@@ -0,0 +1,33 @@
+const EventEmitter = require('events');
+
+class AbortSignal extends EventEmitter {
+  constructor() {
+    super();
+
+    this.aborted = false;
+  }
+
+  addEventListener(event, listener) {
+    this.on(event, listener);
+  }
+
+  removeEventListener(event, listener) {
+    this.removeListener(event, listener);
+  }
+}
+
+class AbortController {
+  constructor() {
+    this.signal = new AbortSignal();
+  }
+
+  abort() {
+    if (!this.signal.aborted) {
+      this.signal.aborted = true;
+
+      this.signal.emit('abort');
+    }
+  }
+}
+
+module.exports = AbortController;
@@ -5,6 +5,7 @@ class ConnectedTransport extends FakeTransport {
     super();
 
     this._connected = false;
+    this._failConnect = false;
   }
 
   get needsConnection() {
@@ -16,10 +17,18 @@ class ConnectedTransport extends FakeTransport {
   }
 
   connect() {
+    if (this._failConnect) {
+      return Promise.reject(new Error('Connection refused'));
+    }
+
     this._connected = true;
 
     return new Promise((resolve) => {
-      setTimeout(resolve, 50);
+      setTimeout(() => {
+        this.emit('connected');
+
+        resolve();
+      }, 50);
     });
   }
 
@@ -27,7 +36,11 @@ class ConnectedTransport extends FakeTransport {
     this._connected = false;
 
     return new Promise((resolve) => {
-      setTimeout(resolve, 50);
+      setTimeout(() => {
+        this.emit('disconnected', null);
+
+        resolve();
+      }, 50);
     });
   }
 
@@ -38,6 +51,12 @@ class ConnectedTransport extends FakeTransport {
 
     return super.send(...arguments);
   }
+
+  drop(err = new Error('Connection lost')) {
+    this._connected = false;
+
+    this.emit('disconnected', err);
+  }
 }
 
 module.exports = ConnectedTransport;
@@ -1,6 +1,7 @@
 const EventEmitter = require('events');
 
 const JRPCClient = require('../index');
+const AbortController = require('./abort-controller');
 const FakeTransport = require('./fake-transport');
 const ConnectedTransport = require('./connected-transport');
 
@@ -169,7 +170,7 @@ describe('jrpc-client', () => {
   });
 
   test('can call a remote method and receive a result', async () => {
-    expect.assertions(4);
+    expect.assertions(5);
 
     let client = new JRPCClient({
       transport: new FakeTransport()
@@ -180,9 +181,12 @@ describe('jrpc-client', () => {
     try {
       await client.call('rpc-error', null);
     } catch (err) {
-      expect(err).toStrictEqual({
+      expect(err).toBeInstanceOf(JRPCClient.RPCError);
+
+      expect(err).toMatchObject({
         code: 1234,
         message: 'Generic RPC error',
+        method: 'rpc-error'
       });
     }
 
@@ -235,7 +239,7 @@ describe('jrpc-client', () => {
   });
 
   test('can receive a timeout', async() => {
-    expect.assertions(1);
+    expect.assertions(3);
 
     jest.useFakeTimers();
 
@@ -248,17 +252,17 @@ describe('jrpc-client', () => {
     try {
       await client.call('non-existent-method', null);
     } catch (err) {
-      expect(err).toStrictEqual({
-        code: -1000,
-        message: 'Timed out waiting for response',
-      });
+      expect(err).toBeInstanceOf(JRPCClient.TimeoutError);
+
+      expect(err.code).toBe(-1000);
+      expect(err.message).toBe('Timed out waiting for response');
     }
 
     await client.destroy();
   });
 
   test('can send a batch of calls as an array', async () => {
-    expect.assertions(6);
+    expect.assertions(8);
 
     jest.useFakeTimers();
 
@@ -291,13 +295,9 @@ describe('jrpc-client', () => {
       result: null
     });
 
-    expect(responses[2]).toStrictEqual({
-      error: {
-        code: -1000,
-        message: 'Timed out waiting for response',
-      },
-      result: null
-    });
+    expect(responses[2].error).toBeInstanceOf(JRPCClient.TimeoutError);
+    expect(responses[2].error.code).toBe(-1000);
+    expect(responses[2].result).toBeNull();
 
     requests = [
       client.prepare('base64', [ 'params' ]),
@@ -316,7 +316,7 @@ describe('jrpc-client', () => {
   });
 
   test('can send a batch of calls as an object', async () => {
-    expect.assertions(5);
+    expect.assertions(7);
 
     jest.useFakeTimers();
 
@@ -347,13 +347,9 @@ describe('jrpc-client', () => {
       result: null
     });
 
-    expect(responses['call3']).toStrictEqual({
-      error: {
-        code: -1000,
-        message: 'Timed out waiting for response',
-      },
-      result: null
-    });
+    expect(responses['call3'].error).toBeInstanceOf(JRPCClient.TimeoutError);
+    expect(responses['call3'].error.code).toBe(-1000);
+    expect(responses['call3'].result).toBeNull();
 
     requests = {
       'call1': client.prepare('base64', [ 'params' ]),
@@ -370,4 +366,2379 @@ describe('jrpc-client', () => {
 
     await client.destroy();
   });
+
+  test('can send a notification', async () => {
+    expect.assertions(4);
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let sendSpy = jest.spyOn(transport, 'send');
+
+    expect(await client.notify('notify', [ 'params' ])).toBeUndefined();
+
+    expect(JSON.parse(sendSpy.mock.calls[0][0])).toStrictEqual({
+      jsonrpc: '2.0',
+      method: 'notify',
+      params: [ 'params' ]
+    });
+
+    try {
+      await client.notify('transport-error', null);
+    } catch (err) {
+      expect(err).toBeInstanceOf(Error);
+
+      expect(err.message).toBe('Generic transport error');
+    }
+
+    await client.destroy();
+  });
+
+  test('can automatically connect to send a notification', async () => {
+    jest.useRealTimers();
+
+    let client = new JRPCClient({
+      transport: new ConnectedTransport()
+    });
+
+    await client.notify('notify', [ 'params' ]);
+
+    expect(client.isConnected).toBe(true);
+
+    await client.destroy();
+  });
+
+  test('can send a batch mixing calls and notifications', async () => {
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let sendSpy = jest.spyOn(transport, 'send');
+
+    let responses = await client.batch([
+      client.prepare('base64', [ 'params' ]),
+      client.prepare('notify', [ 'params' ], {
+        notification: true
+      })
+    ]);
+
+    expect(responses).toStrictEqual([
+      {
+        error: null,
+        result: 'WyJwYXJhbXMiXQ=='
+      },
+      undefined
+    ]);
+
+    let sent = JSON.parse(sendSpy.mock.calls[0][0]);
+
+    expect(sent).toHaveLength(2);
+    expect(sent[1]).not.toHaveProperty('id');
+
+    await client.destroy();
+  });
+
+  test('can use a per-call timeout', async () => {
+    expect.assertions(3);
+
+    jest.useRealTimers();
+
+    let client = new JRPCClient({
+      transport: new FakeTransport()
+    });
+
+    let start = Date.now();
+
+    try {
+      await client.call('non-existent-method', null, {
+        timeout: 50
+      });
+    } catch (err) {
+      expect(err).toBeInstanceOf(JRPCClient.TimeoutError);
+
+      expect(Date.now() - start).toBeLessThan(1000);
+    }
+
+    let response = await client.batch([
+      client.prepare('non-existent-method', null, {
+        timeout: 50
+      })
+    ]);
+
+    expect(response[0].error).toBeInstanceOf(JRPCClient.TimeoutError);
+
+    await client.destroy();
+  });
+
+  test('ignores a response received after a timeout', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let sendSpy = jest.spyOn(transport, 'send');
+
+    await expect(client.call('non-existent-method', null, {
+      timeout: 10
+    })).rejects.toBeInstanceOf(JRPCClient.TimeoutError);
+
+    let { id } = JSON.parse(sendSpy.mock.calls[0][0]);
+
+    transport.emit('data', {
+      jsonrpc: '2.0',
+      id,
+      result: 'late'
+    });
+
+    expect(await client.call('base64', [ 'params' ])).toBe('WyJwYXJhbXMiXQ==');
+
+    await client.destroy();
+  });
+
+  test('can abort a call', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let sendSpy = jest.spyOn(transport, 'send');
+
+    let controller = new AbortController();
+
+    let promise = client.call('non-existent-method', null, {
+      signal: controller.signal
+    });
+
+    controller.abort();
+
+    await expect(promise).rejects.toBeInstanceOf(JRPCClient.AbortError);
+
+    await expect(client.call('base64', [ 'params' ], {
+      signal: controller.signal
+    })).rejects.toBeInstanceOf(JRPCClient.AbortError);
+
+    expect(sendSpy).toHaveBeenCalledTimes(0);
+
+    await client.destroy();
+  });
+
+  test('can abort a prepared call', async () => {
+    jest.useRealTimers();
+
+    let client = new JRPCClient({
+      transport: new FakeTransport()
+    });
+
+    let controller = new AbortController();
+
+    let promise = client.batch([
+      client.prepare('base64', [ 'params' ]),
+      client.prepare('non-existent-method', null, {
+        signal: controller.signal
+      })
+    ]);
+
+    setTimeout(() => controller.abort(), 10);
+
+    let responses = await promise;
+
+    expect(responses[0].result).toBe('WyJwYXJhbXMiXQ==');
+    expect(responses[1].error).toBeInstanceOf(JRPCClient.AbortError);
+
+    await client.destroy();
+  });
+
+  test('rejects invalid call options', async () => {
+    let client = new JRPCClient({
+      transport: new FakeTransport()
+    });
+
+    await expect(client.call('base64', null, {
+      timeout: -1
+    })).rejects.toBeInstanceOf(TypeError);
+
+    await expect(client.call('base64', null, {
+      signal: {}
+    })).rejects.toBeInstanceOf(TypeError);
+
+    await client.destroy();
+  });
+
+  test('can reconnect automatically', async () => {
+    jest.useRealTimers();
+
+    let transport = new ConnectedTransport();
+
+    let client = new JRPCClient({
+      transport,
+      reconnect: {
+        minDelay: 10,
+        maxDelay: 20
+      }
+    });
+
+    await client.connect();
+
+    let reconnecting = jest.fn();
+
+    client.on('reconnecting', reconnecting);
+    client.on('disconnected', () => {});
+
+    transport._failConnect = true;
+
+    transport.drop();
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(client.isConnected).toBe(false);
+
+    transport._failConnect = false;
+
+    await new Promise((resolve) => client.once('connected', resolve));
+
+    expect(client.isConnected).toBe(true);
+    expect(reconnecting.mock.calls.length).toBeGreaterThan(1);
+    expect(reconnecting).toHaveBeenNthCalledWith(1, 1, expect.any(Number));
+    expect(reconnecting).toHaveBeenNthCalledWith(2, 2, expect.any(Number));
+
+    await client.destroy();
+  });
+
+  test('can give up reconnecting', async () => {
+    jest.useRealTimers();
+
+    let transport = new ConnectedTransport();
+
+    let client = new JRPCClient({
+      transport,
+      reconnect: {
+        minDelay: 1,
+        maxDelay: 5,
+        maxAttempts: 3
+      }
+    });
+
+    await client.connect();
+
+    let reconnecting = jest.fn();
+
+    client.on('reconnecting', reconnecting);
+
+    transport._failConnect = true;
+
+    transport.drop();
+
+    let err = await new Promise((resolve) => client.once('reconnect_failed', resolve));
+
+    expect(err).toBeInstanceOf(Error);
+    expect(err.message).toBe('Connection refused');
+    expect(reconnecting).toHaveBeenCalledTimes(3);
+
+    await client.destroy();
+  });
+
+  test('can stop reconnecting', async () => {
+    jest.useRealTimers();
+
+    let transport = new ConnectedTransport();
+
+    let client = new JRPCClient({
+      transport,
+      reconnect: {
+        minDelay: 20,
+        maxDelay: 20
+      }
+    });
+
+    await client.connect();
+
+    let reconnecting = jest.fn();
+
+    client.on('reconnecting', reconnecting);
+
+    transport.drop();
+
+    client.stopReconnecting();
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(reconnecting).toHaveBeenCalledTimes(1);
+    expect(client.isConnected).toBe(false);
+
+    await client.connect();
+    await client.disconnect();
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(reconnecting).toHaveBeenCalledTimes(1);
+    expect(client.isConnected).toBe(false);
+
+    await client.destroy();
+  });
+
+  test('rejects pending calls when the transport gets disconnected', async () => {
+    expect.assertions(5);
+
+    jest.useRealTimers();
+
+    let transport = new ConnectedTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    await client.connect();
+
+    let disconnectError = new Error('Connection reset');
+
+    let call = client.call('non-existent-method', null);
+    let batch = client.batch([
+      client.prepare('base64', [ 'params' ]),
+      client.prepare('non-existent-method', null)
+    ]);
+
+    setTimeout(() => transport.drop(disconnectError), 10);
+
+    try {
+      await call;
+    } catch (err) {
+      expect(err).toBeInstanceOf(JRPCClient.ConnectionLostError);
+
+      expect(err.cause).toBe(disconnectError);
+    }
+
+    try {
+      await batch;
+    } catch (err) {
+      expect(err).toBeInstanceOf(JRPCClient.ConnectionLostError);
+
+      expect(err.cause).toBe(disconnectError);
+    }
+
+    expect(client.isConnected).toBe(false);
+
+    await client.destroy();
+  });
+
+  test('can resend idempotent calls after reconnecting', async () => {
+    jest.useRealTimers();
+
+    let transport = new ConnectedTransport();
+
+    let client = new JRPCClient({
+      transport,
+      resendIdempotent: true,
+      reconnect: {
+        minDelay: 10,
+        maxDelay: 10
+      }
+    });
+
+    await client.connect();
+
+    let sendSpy = jest.spyOn(transport, 'send').mockImplementationOnce(() => {
+      setImmediate(() => transport.drop());
+
+      return Promise.resolve();
+    });
+
+    let idempotent = client.call('base64', [ 'params' ], {
+      idempotent: true
+    });
+
+    let other = client.call('base64', [ 'params' ]);
+
+    await expect(other).rejects.toBeInstanceOf(JRPCClient.ConnectionLostError);
+
+    expect(await idempotent).toBe('WyJwYXJhbXMiXQ==');
+
+    expect(sendSpy).toHaveBeenCalledTimes(3);
+    expect(sendSpy.mock.calls[2][0]).toBe(sendSpy.mock.calls[0][0]);
+
+    await client.destroy();
+  });
+
+  test('rejects kept calls when giving up reconnecting', async () => {
+    jest.useRealTimers();
+
+    let transport = new ConnectedTransport();
+
+    let client = new JRPCClient({
+      transport,
+      resendIdempotent: true,
+      reconnect: {
+        minDelay: 1,
+        maxDelay: 1,
+        maxAttempts: 2
+      }
+    });
+
+    await client.connect();
+
+    jest.spyOn(transport, 'send').mockImplementationOnce(() => {
+      setImmediate(() => {
+        transport._failConnect = true;
+
+        transport.drop();
+      });
+
+      return Promise.resolve();
+    });
+
+    await expect(client.call('base64', [ 'params' ], {
+      idempotent: true
+    })).rejects.toBeInstanceOf(JRPCClient.ConnectionLostError);
+
+    await client.destroy();
+  });
+
+  test('can use middlewares to rewrite messages', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let sendSpy = jest.spyOn(transport, 'send');
+    let order = [];
+
+    client.use({
+      outgoing: async (message, next) => {
+        order.push('outgoing1');
+
+        message.params = [ 'rewritten' ];
+
+        return next(message);
+      },
+      incoming: (message, next) => {
+        order.push('incoming1');
+
+        return next(message);
+      }
+    }).use({
+      outgoing: (message, next) => {
+        order.push('outgoing2');
+
+        message.extra = true;
+
+        return next();
+      },
+      incoming: async (message, next) => {
+        order.push('incoming2');
+
+        message.result = message.result.toLowerCase();
+
+        return next(message);
+      }
+    });
+
+    expect(await client.call('base64', [ 'params' ])).toBe('wyjyzxdyaxr0zw4ixq==');
+
+    expect(JSON.parse(sendSpy.mock.calls[0][0])).toMatchObject({
+      method: 'base64',
+      params: [ 'rewritten' ],
+      extra: true
+    });
+
+    expect(order).toEqual([ 'outgoing1', 'outgoing2', 'incoming1', 'incoming2' ]);
+
+    await client.destroy();
+  });
+
+  test('can use a middleware to short-circuit a call', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let sendSpy = jest.spyOn(transport, 'send');
+
+    client.use({
+      outgoing: (message, next) => {
+        if (message.method === 'cached') {
+          return {
+            jsonrpc: '2.0',
+            id: message.id,
+            result: 'from cache'
+          };
+        }
+
+        return next(message);
+      }
+    });
+
+    expect(await client.call('cached', null)).toBe('from cache');
+    expect(sendSpy).toHaveBeenCalledTimes(0);
+
+    expect(await client.call('base64', [ 'params' ])).toBe('WyJwYXJhbXMiXQ==');
+    expect(sendSpy).toHaveBeenCalledTimes(1);
+
+    await client.destroy();
+  });
+
+  test('can use a middleware to drop incoming messages', async () => {
+    jest.useRealTimers();
+
+    let client = new JRPCClient({
+      transport: new FakeTransport()
+    });
+
+    client.use({
+      incoming: () => {}
+    });
+
+    await expect(client.call('base64', [ 'params' ], {
+      timeout: 50
+    })).rejects.toBeInstanceOf(JRPCClient.TimeoutError);
+
+    await client.destroy();
+  });
+
+  test('rejects outgoing middleware errors', async () => {
+    jest.useRealTimers();
+
+    let client = new JRPCClient({
+      transport: new FakeTransport()
+    });
+
+    expect(() => client.use({})).toThrow(TypeError);
+
+    client.use({
+      outgoing: () => {
+        throw new Error('Middleware error');
+      }
+    });
+
+    await expect(client.call('base64', [ 'params' ])).rejects.toThrow('Middleware error');
+
+    await client.destroy();
+  });
+
+  test('rejects with error subclasses', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let errors = [
+      [ -32700, JRPCClient.ParseError ],
+      [ -32600, JRPCClient.InvalidRequest ],
+      [ -32601, JRPCClient.MethodNotFound ],
+      [ -32602, JRPCClient.InvalidParams ],
+      [ -32603, JRPCClient.InternalError ],
+      [ -32050, JRPCClient.ServerError ],
+      [ 42, JRPCClient.RPCError ]
+    ];
+
+    jest.spyOn(transport, 'send').mockImplementation((data) => {
+      let request = JSON.parse(data);
+
+      setImmediate(() => {
+        transport.emit('data', {
+          jsonrpc: '2.0',
+          id: request.id,
+          error: {
+            code: request.params[0],
+            message: 'Failed',
+            data: 'extra'
+          }
+        });
+      });
+
+      return Promise.resolve();
+    });
+
+    for (let [ code, ErrorClass ] of errors) {
+      let err = await client.call('failing', [ code ]).catch(err => err);
+
+      expect(err).toBeInstanceOf(ErrorClass);
+      expect(err).toBeInstanceOf(JRPCClient.RPCError);
+      expect(err).toBeInstanceOf(Error);
+
+      expect(err.code).toBe(code);
+      expect(err.data).toBe('extra');
+      expect(err.method).toBe('failing');
+      expect(err.response).toStrictEqual({
+        jsonrpc: '2.0',
+        id: expect.any(Number),
+        error: {
+          code,
+          message: 'Failed',
+          data: 'extra'
+        }
+      });
+    }
+
+    await client.destroy();
+  });
+
+  test('rejects with transport and timeout errors', async () => {
+    jest.useRealTimers();
+
+    let client = new JRPCClient({
+      transport: new FakeTransport()
+    });
+
+    let err = await client.call('transport-error', null).catch(err => err);
+
+    expect(err).toBeInstanceOf(JRPCClient.TransportError);
+    expect(err.cause).toBeInstanceOf(Error);
+    expect(err.method).toBe('transport-error');
+
+    err = await client.call('non-existent-method', null, {
+      timeout: 10
+    }).catch(err => err);
+
+    expect(err).toBeInstanceOf(JRPCClient.TimeoutError);
+    expect(err.method).toBe('non-existent-method');
+
+    await client.destroy();
+  });
+
+  test('can call remote methods through a proxy', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport,
+      timeout: 10
+    });
+
+    let sendSpy = jest.spyOn(transport, 'send');
+
+    let api = client.proxy();
+
+    expect(await api.base64('params')).toBe('WyJwYXJhbXMiXQ==');
+
+    await expect(api.user.get(42, 'name')).rejects.toBeInstanceOf(JRPCClient.TimeoutError);
+
+    expect(JSON.parse(sendSpy.mock.calls[1][0])).toMatchObject({
+      method: 'user.get',
+      params: [ 42, 'name' ]
+    });
+
+    api = client.proxy({
+      separator: '_',
+      namedParams: true
+    });
+
+    api.user.update({ id: 42 }).catch(() => {});
+
+    await new Promise(setImmediate);
+
+    expect(JSON.parse(sendSpy.mock.calls[2][0])).toMatchObject({
+      method: 'user_update',
+      params: { id: 42 }
+    });
+
+    expect(() => client.proxy({ separator: '' })).toThrow(TypeError);
+
+    await client.destroy();
+  });
+
+  test('can send a batch through a proxy', async () => {
+    jest.useRealTimers();
+
+    let client = new JRPCClient({
+      transport: new FakeTransport()
+    });
+
+    let api = client.proxy();
+
+    let responses = await api.$batch(api => ({
+      call1: api.base64('params'),
+      call2: api['rpc-error']()
+    }));
+
+    expect(responses).toStrictEqual({
+      call1: {
+        error: null,
+        result: 'WyJwYXJhbXMiXQ=='
+      },
+      call2: {
+        error: {
+          code: 1234,
+          message: 'Generic RPC error'
+        },
+        result: null
+      }
+    });
+
+    await expect(api.$batch(null)).rejects.toBeInstanceOf(TypeError);
+
+    await client.destroy();
+  });
+
+  test('can answer server requests', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let responses = [];
+
+    jest.spyOn(transport, 'send').mockImplementation((data) => {
+      responses.push(JSON.parse(data));
+
+      return Promise.resolve();
+    });
+
+    let waitForResponse = () => new Promise((resolve) => {
+      let interval = setInterval(() => {
+        if (responses.length) {
+          clearInterval(interval);
+
+          resolve(responses.shift());
+        }
+      }, 5);
+    });
+
+    client.expose('sum', async (params) => params[0] + params[1]);
+    client.expose('nothing', () => {});
+    client.expose('fail', () => {
+      throw new JRPCClient.InvalidParams({
+        code: -32602,
+        message: 'Invalid params',
+        data: 'details'
+      });
+    });
+    client.expose('crash', () => {
+      throw new Error('Crashed');
+    });
+
+    transport.emit('data', { jsonrpc: '2.0', id: 1, method: 'sum', params: [ 1, 2 ] });
+
+    expect(await waitForResponse()).toStrictEqual({ jsonrpc: '2.0', id: 1, result: 3 });
+
+    transport.emit('data', { jsonrpc: '2.0', id: 2, method: 'nothing' });
+
+    expect(await waitForResponse()).toStrictEqual({ jsonrpc: '2.0', id: 2, result: null });
+
+    transport.emit('data', { jsonrpc: '2.0', id: 3, method: 'fail', params: [] });
+
+    expect(await waitForResponse()).toStrictEqual({
+      jsonrpc: '2.0',
+      id: 3,
+      error: { code: -32602, message: 'Invalid params', data: 'details' }
+    });
+
+    transport.emit('data', { jsonrpc: '2.0', id: 4, method: 'crash', params: [] });
+
+    expect(await waitForResponse()).toStrictEqual({
+      jsonrpc: '2.0',
+      id: 4,
+      error: { code: -32603, message: 'Crashed' }
+    });
+
+    transport.emit('data', { jsonrpc: '2.0', id: 5, method: 'unknown', params: [] });
+
+    expect(await waitForResponse()).toMatchObject({
+      jsonrpc: '2.0',
+      id: 5,
+      error: { code: -32601 }
+    });
+
+    client.expose('sum', null);
+
+    transport.emit('data', { jsonrpc: '2.0', id: 6, method: 'sum', params: [ 1, 2 ] });
+
+    expect(await waitForResponse()).toMatchObject({
+      id: 6,
+      error: { code: -32601 }
+    });
+
+    expect(() => client.expose('', () => {})).toThrow(TypeError);
+
+    await client.destroy();
+  });
+
+  test('can add several notification listeners', async () => {
+    jest.useFakeTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let handler = jest.fn();
+    let listener1 = jest.fn();
+    let listener2 = jest.fn();
+    let wildcard = jest.fn();
+    let unhandled = jest.fn();
+
+    client.notification('test-notification', handler);
+
+    client.onNotification('test-notification', listener1)
+      .onNotification('test-notification', listener2)
+      .onNotification('*', wildcard);
+
+    client.on('unhandledNotification', unhandled);
+
+    transport.triggerNotification('test-notification', [ 'hello' ]);
+    transport.triggerNotification('other-notification', { key: 'value' });
+
+    jest.runAllTimers();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(listener1).toHaveBeenLastCalledWith([ 'hello' ]);
+    expect(listener2).toHaveBeenLastCalledWith([ 'hello' ]);
+
+    expect(wildcard).toHaveBeenCalledTimes(2);
+    expect(wildcard).toHaveBeenNthCalledWith(1, 'test-notification', [ 'hello' ]);
+    expect(wildcard).toHaveBeenNthCalledWith(2, 'other-notification', { key: 'value' });
+
+    expect(unhandled).toHaveBeenCalledTimes(1);
+    expect(unhandled).toHaveBeenLastCalledWith('other-notification', { key: 'value' });
+
+    client.notification('test-notification', jest.fn());
+    client.offNotification('test-notification', listener1);
+
+    transport.triggerNotification('test-notification', [ 'hello' ]);
+
+    jest.runAllTimers();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(listener1).toHaveBeenCalledTimes(1);
+    expect(listener2).toHaveBeenCalledTimes(2);
+
+    client.notification('test-notification', null);
+    client.offNotification('test-notification');
+    client.offNotification('*');
+
+    transport.triggerNotification('test-notification', [ 'hello' ]);
+
+    jest.runAllTimers();
+
+    expect(listener2).toHaveBeenCalledTimes(2);
+    expect(wildcard).toHaveBeenCalledTimes(3);
+    expect(unhandled).toHaveBeenCalledTimes(2);
+
+    expect(() => client.onNotification('test-notification')).toThrow(TypeError);
+
+    await client.destroy();
+  });
+
+  test('can iterate over notifications', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let unhandled = jest.fn();
+
+    client.on('unhandledNotification', unhandled);
+
+    let stream = client.notifications('log');
+    let all = client.notifications('*');
+
+    transport.triggerNotification('log', [ 1 ]);
+    transport.triggerNotification('log', [ 2 ]);
+    transport.triggerNotification('other', [ 3 ]);
+
+    let iterator = stream[Symbol.asyncIterator]();
+
+    expect(iterator).toBe(stream);
+
+    expect(await iterator.next()).toStrictEqual({ value: [ 1 ], done: false });
+    expect(await iterator.next()).toStrictEqual({ value: [ 2 ], done: false });
+
+    expect(await iterator.return()).toStrictEqual({ value: undefined, done: true });
+    expect(stream.closed).toBe(true);
+
+    expect(await all.next()).toStrictEqual({ value: { method: 'log', params: [ 1 ] }, done: false });
+
+    transport.triggerNotification('log', [ 4 ]);
+
+    await new Promise(setImmediate);
+
+    expect(unhandled).toHaveBeenCalledTimes(2);
+    expect(unhandled).toHaveBeenLastCalledWith('log', [ 4 ]);
+
+    let next = all.next();
+
+    await client.destroy();
+
+    expect(await next).toStrictEqual({ value: { method: 'log', params: [ 2 ] }, done: false });
+    expect(await all.next()).toStrictEqual({ value: { method: 'other', params: [ 3 ] }, done: false });
+    expect(await all.next()).toStrictEqual({ value: { method: 'log', params: [ 4 ] }, done: false });
+    expect(await all.next()).toStrictEqual({ value: undefined, done: true });
+  });
+
+  test('can end a notification iteration with a signal', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let controller = new AbortController();
+
+    let stream = client.notifications('log', {
+      signal: controller.signal
+    });
+
+    let next = stream.next();
+
+    controller.abort();
+
+    expect(await next).toStrictEqual({ value: undefined, done: true });
+
+    let aborted = client.notifications('log', {
+      signal: controller.signal
+    });
+
+    expect(aborted.closed).toBe(true);
+
+    await client.destroy();
+  });
+
+  test('can handle notification buffer overflows', async () => {
+    jest.useFakeTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let dropOldest = client.notifications('log', { highWaterMark: 2 });
+    let dropNewest = client.notifications('log', { highWaterMark: 2, overflow: 'drop-newest' });
+    let error = client.notifications('log', { highWaterMark: 2, overflow: 'error' });
+
+    for (let i = 1; i <= 3; i++) {
+      transport.triggerNotification('log', i);
+    }
+
+    jest.runAllTimers();
+
+    expect((await dropOldest.next()).value).toBe(2);
+    expect((await dropOldest.next()).value).toBe(3);
+
+    expect((await dropNewest.next()).value).toBe(1);
+    expect((await dropNewest.next()).value).toBe(2);
+
+    expect((await error.next()).value).toBe(1);
+    expect((await error.next()).value).toBe(2);
+    await expect(error.next()).rejects.toBeInstanceOf(JRPCClient.OverflowError);
+    expect(await error.next()).toStrictEqual({ value: undefined, done: true });
+
+    expect(() => client.notifications('log', { overflow: 'invalid' })).toThrow(TypeError);
+
+    await client.destroy();
+  });
+
+  test('can subscribe to server events', async () => {
+    jest.useRealTimers();
+
+    let transport = new ConnectedTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let requests = [];
+    let serial = 0;
+
+    jest.spyOn(transport, 'send').mockImplementation((data) => {
+      let request = JSON.parse(data);
+
+      requests.push(request);
+
+      let result = (request.method === 'subscribe' ? `sub${++serial}` : true);
+
+      setImmediate(() => {
+        transport.emit('data', { jsonrpc: '2.0', id: request.id, result });
+
+        if (request.method === 'subscribe') {
+          transport.emit('data', {
+            jsonrpc: '2.0',
+            method: 'subscription',
+            params: { subscription: result, result: 'first' }
+          });
+        }
+      });
+
+      return Promise.resolve();
+    });
+
+    let subscription = await client.subscribe('subscribe', [ 'heads' ], {
+      notificationMethod: 'subscription',
+      unsubscribeMethod: 'unsubscribe',
+      resultPath: 'result',
+      resubscribe: true
+    });
+
+    expect(subscription.id).toBe('sub1');
+
+    let onData = jest.fn();
+
+    subscription.on('data', onData);
+
+    transport.triggerNotification('subscription', { subscription: 'other', result: 'ignored' });
+    transport.triggerNotification('subscription', { subscription: 'sub1', result: 'second' });
+
+    expect(await subscription.next()).toStrictEqual({ value: 'first', done: false });
+    expect(await subscription.next()).toStrictEqual({ value: 'second', done: false });
+    expect(onData).toHaveBeenCalledTimes(1);
+
+    transport.drop();
+
+    await client.connect();
+
+    await new Promise((resolve) => subscription.once('resubscribed', resolve));
+
+    expect(subscription.id).toBe('sub2');
+
+    expect(await subscription.next()).toStrictEqual({ value: 'first', done: false });
+
+    await subscription.close();
+
+    expect(subscription.closed).toBe(true);
+    expect(await subscription.next()).toStrictEqual({ value: undefined, done: true });
+
+    expect(requests[requests.length - 1]).toMatchObject({
+      method: 'unsubscribe',
+      params: [ 'sub2' ]
+    });
+
+    await expect(client.subscribe('subscribe', [])).rejects.toBeInstanceOf(TypeError);
+
+    await client.destroy();
+  });
+
+  test('closes subscriptions on disconnection', async () => {
+    jest.useRealTimers();
+
+    let transport = new ConnectedTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    jest.spyOn(transport, 'send').mockImplementation((data) => {
+      let request = JSON.parse(data);
+
+      setImmediate(() => {
+        transport.emit('data', { jsonrpc: '2.0', id: request.id, result: 42 });
+      });
+
+      return Promise.resolve();
+    });
+
+    let subscription = await client.subscribe('subscribe', null, {
+      notificationMethod: 'subscription',
+      idPath: '0'
+    });
+
+    transport.triggerNotification('subscription', [ 42, 'value' ]);
+
+    expect(await subscription.next()).toStrictEqual({ value: [ 42, 'value' ], done: false });
+
+    let next = subscription.next();
+
+    transport.drop();
+
+    expect(await next).toStrictEqual({ value: undefined, done: true });
+    expect(subscription.closed).toBe(true);
+
+    await client.destroy();
+  });
+
+  test('coalesces calls into batches', async () => {
+    jest.useRealTimers();
+
+    expect(() => {
+      new JRPCClient({
+        transport: new FakeTransport(),
+        autoBatch: { maxSize: 0 }
+      });
+    }).toThrow(TypeError);
+
+    expect(() => {
+      new JRPCClient({
+        transport: new FakeTransport(),
+        batchRequests: false,
+        autoBatch: true
+      });
+    }).toThrow(TypeError);
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport,
+      autoBatch: {
+        maxWaitMs: 20,
+        maxSize: 3
+      }
+    });
+
+    let send = jest.spyOn(transport, 'send');
+
+    let results = await Promise.all([
+      client.call('base64', [ 1 ]),
+      client.call('rpc-error', [], { rejectOnError: false }),
+      client.call('base64', [ 2 ]),
+      client.call('rpc-error').catch(err => err)
+    ]);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(send.mock.calls[0][0])).toHaveLength(3);
+    expect(JSON.parse(send.mock.calls[1][0])).toMatchObject({ method: 'rpc-error' });
+
+    expect(results[0]).toBe('WzFd');
+    expect(results[1]).toEqual({ error: { code: 1234, message: 'Generic RPC error' }, result: null });
+    expect(results[2]).toBe('WzJd');
+    expect(results[3]).toBeInstanceOf(JRPCClient.RPCError);
+
+    send.mockClear();
+
+    let errors = await Promise.all([
+      client.call('transport-error').catch(err => err),
+      client.call('base64').catch(err => err)
+    ]);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(errors[0]).toBeInstanceOf(JRPCClient.TransportError);
+    expect(errors[0].method).toBe('transport-error');
+    expect(errors[1].method).toBe('base64');
+
+    let error = new Error('Middleware error');
+
+    client.use({
+      outgoing: () => {
+        throw error;
+      }
+    });
+
+    await expect(client.call('base64')).rejects.toBe(error);
+
+    await client.destroy();
+  });
+
+  test('splits batches exceeding the size limits', async () => {
+    jest.useRealTimers();
+
+    expect(() => {
+      new JRPCClient({
+        transport: new FakeTransport(),
+        maxBatchSize: 0
+      });
+    }).toThrow(TypeError);
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport,
+      maxBatchSize: 2,
+      maxBatchBytes: 200,
+      batchConcurrency: 2
+    });
+
+    let send = jest.spyOn(transport, 'send');
+
+    let responses = await client.batch({
+      a: client.prepare('base64', [ 1 ]),
+      b: client.prepare('base64', [ 2 ]),
+      c: client.prepare('base64', [ 'x'.repeat(150) ]),
+      d: client.prepare('base64', [ 4 ]),
+      e: client.prepare('notification', [], { notification: true })
+    });
+
+    expect(send.mock.calls.map(([ data ]) => JSON.parse(data).length)).toEqual([ 2, 1, 2 ]);
+
+    expect(Buffer.byteLength(send.mock.calls[0][0])).toBeLessThanOrEqual(200);
+    expect(Buffer.byteLength(send.mock.calls[1][0])).toBeGreaterThan(200);
+
+    expect(responses).toEqual({
+      a: { error: null, result: 'WzFd' },
+      b: { error: null, result: 'WzJd' },
+      c: { error: null, result: Buffer.from(JSON.stringify([ 'x'.repeat(150) ])).toString('base64') },
+      d: { error: null, result: 'WzRd' },
+      e: undefined
+    });
+
+    let err = await client.batch([
+      client.prepare('base64', [ 1 ]),
+      client.prepare('base64', [ 2 ]),
+      client.prepare('transport-error'),
+      client.prepare('base64', [ 4 ])
+    ]).catch(err => err);
+
+    expect(err).toBeInstanceOf(JRPCClient.BatchError);
+    expect(err).toBeInstanceOf(JRPCClient.TransportError);
+    expect(err.chunkCount).toBe(2);
+    expect(err.failed).toHaveLength(1);
+    expect(err.failed[0].index).toBe(1);
+    expect(err.failed[0].requests.map(request => request.method)).toEqual([ 'transport-error', 'base64' ]);
+
+    await client.destroy();
+  });
+
+  test('limits the number of calls in flight', async () => {
+    jest.useRealTimers();
+
+    expect(() => {
+      new JRPCClient({
+        transport: new FakeTransport(),
+        maxInFlight: 0
+      });
+    }).toThrow(TypeError);
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport,
+      maxInFlight: 2
+    });
+
+    let sent = [];
+    let respond = [];
+
+    jest.spyOn(transport, 'send').mockImplementation((data) => {
+      let request = JSON.parse(data);
+
+      sent.push(request.params[0]);
+
+      respond.push(() => {
+        transport.emit('data', { jsonrpc: '2.0', id: request.id, result: request.params[0] });
+      });
+
+      return Promise.resolve();
+    });
+
+    await expect(client.call('test', [], { priority: 'high' })).rejects.toBeInstanceOf(TypeError);
+
+    let calls = [
+      client.call('test', [ 'first' ]),
+      client.call('test', [ 'second' ]),
+      client.call('test', [ 'background' ], { priority: -1 }),
+      client.call('test', [ 'normal' ]),
+      client.call('test', [ 'interactive' ], { priority: 10 })
+    ];
+
+    let controller = new AbortController();
+    let aborted = client.call('test', [ 'aborted' ], { signal: controller.signal });
+    let expired = client.call('test', [ 'expired' ], { queueTimeout: 20 });
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(sent).toEqual([ 'first', 'second' ]);
+    expect(client.pending).toBe(2);
+    expect(client.queued).toBe(5);
+
+    controller.abort();
+
+    await expect(aborted).rejects.toBeInstanceOf(JRPCClient.AbortError);
+    await expect(expired).rejects.toBeInstanceOf(JRPCClient.QueueTimeoutError);
+
+    expect(client.queued).toBe(3);
+
+    while (respond.length) {
+      respond.shift()();
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    await expect(Promise.all(calls)).resolves.toEqual([ 'first', 'second', 'background', 'normal', 'interactive' ]);
+
+    expect(sent).toEqual([ 'first', 'second', 'interactive', 'normal', 'background' ]);
+    expect(client.pending).toBe(0);
+    expect(client.queued).toBe(0);
+
+    transport.send.mockImplementation((data) => {
+      for (let request of [].concat(JSON.parse(data))) {
+        sent.push(request.params[0]);
+
+        respond.push(() => {
+          transport.emit('data', { jsonrpc: '2.0', id: request.id, result: request.params[0] });
+        });
+      }
+
+      return Promise.resolve();
+    });
+
+    sent = [];
+
+    let batch = client.batch([
+      client.prepare('test', [ 'batch1' ]),
+      client.prepare('test', [ 'batch2' ])
+    ]);
+
+    calls = [
+      client.call('test', [ 'call1' ]),
+      client.call('test', [ 'call2' ]),
+      client.call('test', [ 'call3' ])
+    ];
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(sent.slice().sort()).toEqual([ 'batch1', 'batch2', 'call1', 'call2' ]);
+    expect(client.pending).toBe(4);
+    expect(client.queued).toBe(1);
+
+    while (respond.length) {
+      respond.shift()();
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    await expect(batch).resolves.toHaveLength(2);
+    await expect(Promise.all(calls)).resolves.toEqual([ 'call1', 'call2', 'call3' ]);
+
+    expect(client.pending).toBe(0);
+
+    await client.destroy();
+  });
+
+  test('limits the rate of outgoing requests', async () => {
+    jest.useRealTimers();
+
+    expect(() => {
+      new JRPCClient({
+        transport: new FakeTransport(),
+        rateLimit: { default: { rate: 0 } }
+      });
+    }).toThrow(TypeError);
+
+    expect(() => {
+      new JRPCClient({
+        transport: new FakeTransport(),
+        rateLimit: { mode: 'drop' }
+      });
+    }).toThrow(TypeError);
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport,
+      rateLimit: {
+        methods: {
+          'base*': { rate: 20, burst: 2 }
+        }
+      }
+    });
+
+    let start = Date.now();
+
+    await Promise.all([
+      client.call('base64', [ 1 ]),
+      client.call('base64', [ 2 ]),
+      client.call('base64', [ 3 ]),
+      client.call('rpc-error').catch(() => null)
+    ]);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+
+    await client.destroy();
+
+    transport = new FakeTransport();
+
+    client = new JRPCClient({
+      transport,
+      rateLimit: {
+        default: { rate: 1, burst: 2 },
+        mode: 'reject'
+      }
+    });
+
+    let results = await Promise.all([
+      client.call('base64', [ 1 ]),
+      client.call('base64', [ 2 ]),
+      client.call('base64', [ 3 ]).catch(err => err)
+    ]);
+
+    expect(results[0]).toBe('WzFd');
+    expect(results[1]).toBe('WzJd');
+    expect(results[2]).toBeInstanceOf(JRPCClient.RateLimitedError);
+    expect(results[2].retryAfter).toBeGreaterThan(0);
+
+    await expect(client.notify('test')).rejects.toBeInstanceOf(JRPCClient.RateLimitedError);
+
+    await client.destroy();
+
+    client = new JRPCClient({
+      transport,
+      rateLimit: {
+        default: { rate: 1, burst: 1 },
+        mode: 'reject'
+      }
+    });
+
+    let responses = await client.batch([
+      client.prepare('base64', [ 1 ]),
+      client.prepare('base64', [ 2 ])
+    ]);
+
+    expect(responses[0]).toEqual({ error: null, result: 'WzFd' });
+    expect(responses[1].error).toBeInstanceOf(JRPCClient.RateLimitedError);
+    expect(client.pending).toBe(0);
+
+    await client.destroy();
+  });
+
+  test('honours the retry-after delay of throttle errors', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport,
+      rateLimit: {
+        default: { rate: 100 },
+        mode: 'reject',
+        throttleCode: -32005,
+        retryAfterPath: 'retry.after'
+      }
+    });
+
+    jest.spyOn(transport, 'send').mockImplementation((data) => {
+      let request = JSON.parse(data);
+
+      setImmediate(() => {
+        transport.emit('data', {
+          jsonrpc: '2.0',
+          id: request.id,
+          error: { code: -32005, message: 'Too many requests', data: { retry: { after: 0.1 } } }
+        });
+      });
+
+      return Promise.resolve();
+    });
+
+    await expect(client.call('test')).rejects.toMatchObject({ code: -32005 });
+
+    let err = await client.call('test').catch(err => err);
+
+    expect(err).toBeInstanceOf(JRPCClient.RateLimitedError);
+    expect(err.retryAfter).toBeGreaterThan(50);
+
+    await new Promise(resolve => setTimeout(resolve, err.retryAfter + 10));
+
+    await expect(client.call('test')).rejects.toMatchObject({ code: -32005 });
+
+    await client.destroy();
+  });
+
+  test('retries failed calls', async () => {
+    jest.useRealTimers();
+
+    expect(() => {
+      new JRPCClient({
+        transport: new FakeTransport(),
+        retry: { codes: [ 'busy' ] }
+      });
+    }).toThrow(TypeError);
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport,
+      retry: {
+        minDelay: 5,
+        maxDelay: 5,
+        jitter: 0,
+        methods: [ 'base64' ],
+        codes: [ 1234 ]
+      }
+    });
+
+    await expect(client.call('base64', [], { retry: 'yes' })).rejects.toThrow(TypeError);
+
+    let send = transport.send.bind(transport);
+    let failures = 0;
+
+    jest.spyOn(transport, 'send').mockImplementation((data) => {
+      if (failures > 0) {
+        failures--;
+
+        return Promise.reject(new Error('Unavailable'));
+      }
+
+      return send(data);
+    });
+
+    let retries = [];
+
+    client.on('retry', (attempt, err, delay) => retries.push([ attempt, err.constructor, delay ]));
+
+    failures = 2;
+
+    await expect(client.call('base64', [ 1 ])).resolves.toBe('WzFd');
+
+    expect(retries).toEqual([
+      [ 1, JRPCClient.TransportError, 5 ],
+      [ 2, JRPCClient.TransportError, 5 ]
+    ]);
+
+    failures = 3;
+
+    await expect(client.call('base64', [ 1 ])).rejects.toBeInstanceOf(JRPCClient.TransportError);
+
+    expect(failures).toBe(0);
+
+    failures = 1;
+    retries = [];
+
+    await expect(client.call('rpc-error')).rejects.toBeInstanceOf(JRPCClient.TransportError);
+
+    expect(retries).toEqual([]);
+
+    failures = 1;
+
+    await expect(client.call('rpc-error', [], { idempotent: true, retry: { codes: [] } })).rejects.toMatchObject({ code: 1234 });
+
+    expect(retries).toHaveLength(1);
+
+    retries = [];
+
+    await expect(client.call('rpc-error')).rejects.toMatchObject({ code: 1234 });
+
+    expect(retries).toEqual([
+      [ 1, JRPCClient.RPCError, 5 ],
+      [ 2, JRPCClient.RPCError, 5 ]
+    ]);
+
+    retries = [];
+
+    await expect(client.call('rpc-error', [], { retry: false })).rejects.toMatchObject({ code: 1234 });
+    await expect(client.call('rpc-error', [], { retry: { maxAttempts: 2, retryOn: err => err.code === 1234 } })).rejects.toMatchObject({ code: 1234 });
+
+    expect(retries).toHaveLength(1);
+
+    retries = [];
+
+    let [ response ] = await client.batch([
+      client.prepare('rpc-error')
+    ]);
+
+    expect(response.error).toMatchObject({ code: 1234 });
+    expect(retries).toHaveLength(2);
+
+    let outgoing = jest.fn((message, next) => next(message));
+
+    client.use({ outgoing });
+
+    transport.send.mockClear();
+
+    await expect(client.call('rpc-error')).rejects.toMatchObject({ code: 1234 });
+
+    expect(outgoing).toHaveBeenCalledTimes(1);
+    expect(transport.send).toHaveBeenCalledTimes(3);
+
+    let controller = new AbortController();
+
+    client.once('retry', () => controller.abort());
+
+    await expect(client.call('rpc-error', [], { signal: controller.signal })).rejects.toBeInstanceOf(JRPCClient.AbortError);
+
+    await client.destroy();
+  });
+
+  test('injects credentials and refreshes them', async () => {
+    jest.useRealTimers();
+
+    expect(() => {
+      new JRPCClient({
+        transport: new FakeTransport(),
+        auth: { codes: [ -32001 ] }
+      });
+    }).toThrow(TypeError);
+
+    let transport = new FakeTransport();
+    let token = 'expired';
+    let renewed = 'fresh';
+    let refreshes = 0;
+
+    let client = new JRPCClient({
+      transport,
+      auth: {
+        credentials: () => token,
+        refresh: () => {
+          refreshes++;
+
+          return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+            token = renewed;
+          });
+        },
+        codes: [ -32001 ]
+      }
+    });
+
+    let sent = [];
+
+    jest.spyOn(transport, 'send').mockImplementation((data) => {
+      let requests = [].concat(JSON.parse(data));
+
+      sent.push(...requests);
+
+      for (let request of requests) {
+        let credentials = (Array.isArray(request.params) ? request.params[request.params.length - 1] : request.params.auth);
+        let response = { jsonrpc: '2.0', id: request.id };
+
+        if (credentials === 'fresh') {
+          response.result = request.params;
+        } else {
+          response.error = { code: -32001, message: 'Token expired' };
+        }
+
+        setImmediate(() => transport.emit('data', response));
+      }
+
+      return Promise.resolve();
+    });
+
+    let results = await Promise.all([
+      client.call('test', [ 1 ]),
+      client.call('test', { value: 2 }),
+      client.batch([
+        client.prepare('test', [ 3 ])
+      ])
+    ]);
+
+    expect(results).toEqual([
+      [ 1, 'fresh' ],
+      { value: 2, auth: 'fresh' },
+      [ { error: null, result: [ 3, 'fresh' ] } ]
+    ]);
+
+    expect(refreshes).toBe(1);
+    expect(sent).toHaveLength(6);
+
+    token = renewed = 'revoked';
+
+    await expect(client.call('test')).rejects.toMatchObject({ code: -32001 });
+
+    expect(refreshes).toBe(2);
+
+    await client.destroy();
+
+    transport = new FakeTransport();
+
+    client = new JRPCClient({
+      transport,
+      auth: {
+        credentials: () => Promise.resolve({ token: 'secret' }),
+        inject: 'meta',
+        refresh: () => Promise.reject(new Error('Refresh failed')),
+        codes: [ 1234 ]
+      }
+    });
+
+    jest.spyOn(transport, 'send');
+
+    await expect(client.call('base64', [ 1 ])).resolves.toBe('WzFd');
+
+    expect(transport.send).toHaveBeenLastCalledWith(expect.any(String), { auth: { token: 'secret' } });
+
+    await expect(client.call('rpc-error')).rejects.toThrow('Refresh failed');
+
+    await client.destroy();
+
+    transport = new FakeTransport();
+    token = 'expired';
+    refreshes = 0;
+
+    client = new JRPCClient({
+      transport,
+      auth: {
+        credentials: () => token,
+        refresh: () => {
+          refreshes++;
+
+          token = 'fresh';
+        },
+        codes: [ -32001 ]
+      }
+    });
+
+    jest.spyOn(transport, 'send').mockImplementation((data) => {
+      for (let request of [].concat(JSON.parse(data))) {
+        let [ delay, credentials ] = request.params;
+        let response = { jsonrpc: '2.0', id: request.id };
+
+        if (credentials === 'fresh') {
+          response.result = delay;
+        } else {
+          response.error = { code: -32001, message: 'Token expired' };
+        }
+
+        setTimeout(() => transport.emit('data', response), delay);
+      }
+
+      return Promise.resolve();
+    });
+
+    await expect(Promise.all([ client.call('test', [ 10 ]), client.call('test', [ 30 ]) ])).resolves.toEqual([ 10, 30 ]);
+
+    expect(refreshes).toBe(1);
+
+    token = 'expired';
+
+    let responses = await client.batch([
+      client.prepare('test', [ 10 ]),
+      client.prepare('test', [ 30 ])
+    ]);
+
+    expect(responses).toEqual([ { error: null, result: 10 }, { error: null, result: 30 } ]);
+    expect(refreshes).toBe(2);
+
+    await client.destroy();
+  });
+
+  test('passes metadata to the transport', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    await expect(client.call('base64', [], { meta: 'headers' })).rejects.toThrow(TypeError);
+    await expect(client.batch([ client.prepare('base64') ], { meta: [] })).rejects.toThrow(TypeError);
+
+    jest.spyOn(transport, 'send');
+
+    await client.call('base64', [ 1 ]);
+
+    expect(transport.send.mock.calls[0]).toHaveLength(1);
+
+    await client.call('base64', [ 1 ], { meta: { headers: { 'X-Test': '1' } } });
+
+    expect(transport.send).toHaveBeenLastCalledWith(expect.any(String), { headers: { 'X-Test': '1' } });
+
+    await client.batch([
+      client.prepare('base64', [ 1 ], { meta: { route: 'a' } }),
+      client.prepare('base64', [ 2 ]),
+      client.prepare('event', [], { notification: true, meta: { trace: 't' } })
+    ], {
+      meta: { route: 'default', deadline: 100 }
+    });
+
+    expect(transport.send).toHaveBeenLastCalledWith(expect.any(String), { route: 'a', deadline: 100, trace: 't' });
+
+    await client.destroy();
+
+    transport = new FakeTransport();
+
+    client = new JRPCClient({
+      transport,
+      batchRequests: false
+    });
+
+    jest.spyOn(transport, 'send');
+
+    await client.batch([
+      client.prepare('base64', [ 1 ], { meta: { route: 'a' } }),
+      client.prepare('base64', [ 2 ])
+    ], {
+      meta: { route: 'default' }
+    });
+
+    expect(transport.send.mock.calls.map(call => call[1])).toEqual([ { route: 'a' }, { route: 'default' } ]);
+
+    await client.destroy();
+
+    transport = new FakeTransport();
+
+    client = new JRPCClient({
+      transport,
+      autoBatch: true
+    });
+
+    jest.spyOn(transport, 'send');
+
+    await Promise.all([
+      client.call('base64', [ 1 ]),
+      client.call('base64', [ 2 ], { meta: { auth: 'a' } }),
+      client.call('base64', [ 3 ], { meta: { auth: 'b' } }),
+      client.call('base64', [ 4 ])
+    ]);
+
+    expect(transport.send.mock.calls.map(call => [ JSON.parse(call[0]), call[1] ])).toEqual([
+      [ expect.objectContaining({ params: [ 1 ] }), undefined ],
+      [ expect.objectContaining({ params: [ 2 ] }), { auth: 'a' } ],
+      [ expect.objectContaining({ params: [ 3 ] }), { auth: 'b' } ],
+      [ expect.objectContaining({ params: [ 4 ] }), undefined ]
+    ]);
+
+    await client.destroy();
+  });
+
+  test('deduplicates and caches calls', async () => {
+    jest.useRealTimers();
+
+    expect(() => {
+      new JRPCClient({
+        transport: new FakeTransport(),
+        cache: { ttl: 0 }
+      });
+    }).toThrow(TypeError);
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport,
+      cache: {
+        methods: [ 'base*' ],
+        ttl: 50,
+        maxEntries: 2,
+        invalidateOn: { 'changed': 'base64' }
+      }
+    });
+
+    expect(client.cache).toBeInstanceOf(Object);
+
+    await expect(client.call('base64', [], { cache: 'no' })).rejects.toThrow(TypeError);
+
+    jest.spyOn(transport, 'send');
+
+    let results = await Promise.all([
+      client.call('base64', { a: 1, b: 2 }),
+      client.call('base64', { b: 2, a: 1 }),
+      client.call('base64', { a: 1, b: 2 }, { rejectOnError: false }),
+      client.call('base64', { a: 1, b: 2 }, { cache: false })
+    ]);
+
+    expect(results[0]).toBe(results[1]);
+    expect(results[2]).toEqual({ error: null, result: results[0] });
+    expect(transport.send).toHaveBeenCalledTimes(2);
+
+    await expect(client.call('base64', { b: 2, a: 1 })).resolves.toBe(results[0]);
+
+    expect(transport.send).toHaveBeenCalledTimes(2);
+
+    await Promise.all([
+      client.call('rpc-error').catch(() => null),
+      client.call('rpc-error').catch(() => null),
+      client.call('rpc-error', [], { idempotent: true }).catch(() => null),
+      client.call('rpc-error', [], { idempotent: true }).catch(() => null)
+    ]);
+
+    expect(transport.send).toHaveBeenCalledTimes(5);
+
+    await client.call('base64', [ 1 ]);
+    await client.call('base64', [ 2 ]);
+    await client.call('base64', { a: 1, b: 2 });
+
+    expect(transport.send).toHaveBeenCalledTimes(8);
+
+    await client.call('base64', [ 2 ]);
+
+    expect(transport.send).toHaveBeenCalledTimes(8);
+
+    await client.cache.invalidate('base*');
+    await client.call('base64', [ 2 ]);
+
+    expect(transport.send).toHaveBeenCalledTimes(9);
+
+    let unhandled = jest.fn();
+
+    client.on('unhandledNotification', unhandled);
+
+    transport.triggerNotification('changed');
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    await client.call('base64', [ 2 ]);
+
+    expect(transport.send).toHaveBeenCalledTimes(10);
+    expect(unhandled).not.toHaveBeenCalled();
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    await client.call('base64', [ 2 ]);
+
+    expect(transport.send).toHaveBeenCalledTimes(11);
+
+    await client.destroy();
+
+    let store = new Map();
+
+    client = new JRPCClient({
+      transport: new FakeTransport(),
+      cache: {
+        methods: [ 'base64' ],
+        store: {
+          get: key => Promise.resolve(store.get(key)),
+          set: (key, value) => store.set(key, value),
+          delete: key => store.delete(key),
+          keys: () => Array.from(store.keys())
+        }
+      }
+    });
+
+    await client.call('base64', [ 1 ]);
+
+    expect(Array.from(store.values())).toEqual([ { result: 'WzFd' } ]);
+
+    await client.cache.invalidate();
+
+    expect(store.size).toBe(0);
+
+    await client.destroy();
+
+    transport = new FakeTransport();
+
+    client = new JRPCClient({
+      transport,
+      cache: {
+        methods: [ 'get' ]
+      }
+    });
+
+    jest.spyOn(transport, 'send').mockImplementation((data) => {
+      let request = JSON.parse(data);
+
+      setImmediate(() => transport.emit('data', { jsonrpc: '2.0', id: request.id, result: { a: 1 } }));
+
+      return Promise.resolve();
+    });
+
+    let [ first, second ] = await Promise.all([ client.call('get'), client.call('get') ]);
+
+    expect(first).not.toBe(second);
+
+    first.a = 999;
+    second.a = 998;
+
+    await expect(client.call('get')).resolves.toEqual({ a: 1 });
+    expect(transport.send).toHaveBeenCalledTimes(1);
+
+    await client.destroy();
+  });
+
+  test('emits lifecycle events and collects metrics', async () => {
+    jest.useRealTimers();
+
+    expect(() => {
+      new JRPCClient({
+        transport: new FakeTransport(),
+        metrics: { buckets: [ 10, 5 ] }
+      });
+    }).toThrow(TypeError);
+
+    let adapter = {
+      response: jest.fn()
+    };
+
+    let client = new JRPCClient({
+      transport: new FakeTransport(),
+      metrics: {
+        buckets: [ 1000, 60000 ],
+        adapter
+      }
+    });
+
+    let events = [];
+
+    for (let event of [ 'request', 'response', 'timeout', 'batch' ]) {
+      client.on(event, info => events.push([ event, info ]));
+    }
+
+    await client.call('base64', [ 1 ]);
+
+    expect(events).toEqual([
+      [ 'request', { method: 'base64', id: 1, size: 55 } ],
+      [ 'response', { method: 'base64', id: 1, duration: expect.any(Number), size: 40, outcome: 'success', code: null } ]
+    ]);
+
+    expect(adapter.response).toHaveBeenCalledWith(events[1][1]);
+
+    events = [];
+
+    await client.batch([
+      client.prepare('rpc-error'),
+      client.prepare('event', [], { notification: true })
+    ]);
+
+    expect(events.map(([ event, info ]) => [ event, info.id ])).toEqual([
+      [ 'request', 2 ],
+      [ 'request', null ],
+      [ 'batch', undefined ],
+      [ 'response', 2 ]
+    ]);
+
+    expect(events[2][1].count).toBe(2);
+    expect(events[3][1]).toMatchObject({ outcome: 'error', code: 1234 });
+
+    events = [];
+
+    await expect(client.call('unknown', [], { timeout: 10 })).rejects.toBeInstanceOf(JRPCClient.TimeoutError);
+
+    expect(events[1]).toEqual([ 'timeout', { method: 'unknown', id: expect.any(Number), duration: expect.any(Number) } ]);
+
+    let stats = client.stats();
+
+    expect(stats).toMatchObject({
+      pending: 0,
+      queued: 0,
+      requests: 4,
+      responses: 2,
+      errors: 1,
+      errorRate: 0.5,
+      errorCodes: { 1234: 1 },
+      timeouts: 1,
+      batches: 1
+    });
+
+    expect(stats.methods.base64).toMatchObject({
+      requests: 1,
+      responses: 1,
+      errorRate: 0,
+      latency: {
+        count: 1,
+        buckets: [
+          { le: 1000, count: 1 },
+          { le: 60000, count: 1 },
+          { le: Infinity, count: 1 }
+        ]
+      }
+    });
+
+    expect(stats.methods.unknown).toMatchObject({ requests: 1, timeouts: 1 });
+
+    await client.destroy();
+
+    let adapterError = new Error('Adapter error');
+    let listenerError = new Error('Listener error');
+    let errors = [];
+    let listener = jest.fn();
+
+    client = new JRPCClient({
+      transport: new FakeTransport(),
+      metrics: {
+        adapter: {
+          request: () => {
+            throw adapterError;
+          }
+        }
+      }
+    });
+
+    client.on('error', err => errors.push(err));
+
+    client.on('request', () => {
+      throw listenerError;
+    }).on('request', listener);
+
+    await expect(client.call('base64', [ 1 ], { timeout: 100 })).resolves.toBe('WzFd');
+
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(errors).toEqual([ adapterError, listenerError ]);
+    expect(client.stats().requests).toBe(1);
+
+    await client.destroy();
+  });
+
+  test('propagates the trace context', async () => {
+    jest.useRealTimers();
+
+    expect(() => {
+      new JRPCClient({
+        transport: new FakeTransport(),
+        tracing: true
+      });
+    }).toThrow(TypeError);
+
+    let spans = [];
+
+    let tracer = {
+      startSpan: (name, options) => {
+        let span = {
+          name,
+          options,
+          attributes: {},
+          status: null,
+          ended: false,
+          spanContext: () => ({
+            traceId: '0af7651916cd43dd8448eb211c80319c',
+            spanId: `b7ad6b716920333${spans.indexOf(span)}`,
+            traceFlags: 1
+          }),
+          setAttribute: (key, value) => {
+            span.attributes[key] = value;
+          },
+          setStatus: (status) => {
+            span.status = status;
+          },
+          end: () => {
+            span.ended = true;
+          }
+        };
+
+        spans.push(span);
+
+        return span;
+      }
+    };
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport,
+      tracing: { tracer }
+    });
+
+    jest.spyOn(transport, 'send');
+
+    await client.call('base64', { value: 1 });
+
+    expect(JSON.parse(transport.send.mock.calls[0][0]).params).toEqual({
+      value: 1,
+      traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203330-01'
+    });
+
+    expect(spans[0]).toMatchObject({
+      name: 'base64',
+      options: { kind: 2, attributes: { 'rpc.system': 'jsonrpc', 'rpc.method': 'base64' } },
+      status: null,
+      ended: true
+    });
+
+    await expect(client.call('rpc-error', [ 1 ])).rejects.toMatchObject({ code: 1234 });
+
+    expect(transport.send.mock.calls[1]).toEqual([
+      expect.any(String),
+      { traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01' }
+    ]);
+
+    expect(JSON.parse(transport.send.mock.calls[1][0]).params).toEqual([ 1 ]);
+
+    expect(spans[1]).toMatchObject({
+      attributes: { 'rpc.jsonrpc.error_code': 1234 },
+      status: { code: 2 },
+      ended: true
+    });
+
+    await client.destroy();
+
+    for (let inject of [ 'member', 'meta' ]) {
+      spans = [];
+      transport = new FakeTransport();
+
+      client = new JRPCClient({
+        transport,
+        tracing: { tracer, inject, field: 'trace' }
+      });
+
+      jest.spyOn(transport, 'send');
+
+      await client.batch({
+        first: client.prepare('base64', [ 1 ]),
+        second: client.prepare('rpc-error')
+      });
+
+      let [ data, context ] = transport.send.mock.calls[0];
+      let traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203330-01';
+
+      if (inject === 'member') {
+        expect(JSON.parse(data).map(request => request.trace)).toEqual([ traceparent, traceparent ]);
+      } else {
+        expect(context).toEqual({ trace: traceparent });
+      }
+
+      expect(spans).toHaveLength(1);
+
+      expect(spans[0]).toMatchObject({
+        name: 'batch',
+        attributes: { 'rpc.jsonrpc.error_code': 1234 },
+        ended: true
+      });
+
+      await client.destroy();
+    }
+
+    client = new JRPCClient({
+      transport: new FakeTransport(),
+      tracing: { tracer }
+    });
+
+    spans = [];
+
+    await expect(client.call('unknown', [], { timeout: 10 })).rejects.toBeInstanceOf(JRPCClient.TimeoutError);
+
+    expect(spans[0].status).toEqual({ code: 2, message: 'Timed out waiting for response' });
+    expect(spans[0].ended).toBe(true);
+
+    await client.destroy();
+
+    let endError = new Error('End error');
+    let startError = new Error('Start error');
+    let errors = [];
+    let failStart = false;
+
+    client = new JRPCClient({
+      transport: new FakeTransport(),
+      tracing: {
+        tracer: {
+          startSpan: () => {
+            if (failStart) {
+              throw startError;
+            }
+
+            return {
+              end: () => {
+                throw endError;
+              }
+            };
+          }
+        }
+      }
+    });
+
+    client.on('error', err => errors.push(err));
+
+    await expect(client.call('base64', [ 1 ])).resolves.toBe('WzFd');
+    await expect(client.call('rpc-error')).rejects.toMatchObject({ code: 1234 });
+
+    failStart = true;
+
+    await expect(client.call('base64', [ 2 ])).resolves.toBe('WzJd');
+
+    expect(errors).toEqual([ endError, endError, startError ]);
+
+    await client.destroy();
+  });
+
+  test('fails the prepared calls of a batch which could not be sent', async () => {
+    jest.useRealTimers();
+
+    let client = new JRPCClient({
+      transport: new FakeTransport(),
+      timeout: 0
+    });
+
+    let requests = [
+      client.prepare('base64', [ 1 ]),
+      client.prepare('transport-error')
+    ];
+
+    await expect(client.batch(requests)).rejects.toBeInstanceOf(JRPCClient.TransportError);
+
+    expect(client.pending).toBe(0);
+
+    await expect(requests[0]).rejects.toMatchObject({ method: 'base64' });
+
+    await client.destroy();
+  });
+
+  test('keeps processing messages when a notification listener throws', async () => {
+    jest.useRealTimers();
+
+    let transport = new FakeTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let sent = [];
+
+    jest.spyOn(transport, 'send').mockImplementation((data) => {
+      sent.push(JSON.parse(data));
+
+      return Promise.resolve();
+    });
+
+    let error = new Error('Listener error');
+    let errors = [];
+    let listener = jest.fn();
+    let handler = jest.fn();
+
+    client.on('error', err => errors.push(err));
+
+    client.onNotification('test-notification', () => {
+      throw error;
+    }).onNotification('test-notification', listener);
+
+    client.notification('handled', handler);
+
+    let call = client.call('method', [], { timeout: 0 });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    transport.emit('data', [
+      { jsonrpc: '2.0', method: 'test-notification', params: [ 'hello' ] },
+      { jsonrpc: '2.0', id: sent[0].id, result: 'done' }
+    ]);
+
+    expect(await call).toBe('done');
+    expect(listener).toHaveBeenCalledWith([ 'hello' ]);
+
+    transport.emit('data', { jsonrpc: '2.0', id: 1, method: 'handled', params: [ 'hello' ] });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(errors).toEqual([ error ]);
+    expect(handler).toHaveBeenCalledWith([ 'hello' ]);
+    expect(sent[1]).toStrictEqual({ jsonrpc: '2.0', id: 1, error: { code: -1, message: 'error' } });
+
+    await client.destroy();
+  });
+
+  test('removes once listeners of lifecycle events', async () => {
+    jest.useRealTimers();
+
+    for (let rawListeners of [ true, false ]) {
+      let transport = new ConnectedTransport();
+
+      let client = new JRPCClient({
+        transport,
+        autoConnect: false
+      });
+
+      if (!rawListeners) {
+        client.rawListeners = undefined;
+      }
+
+      let connected = jest.fn();
+      let request = jest.fn();
+
+      client.once('connected', connected);
+      client.once('request', request);
+
+      await client.connect();
+      await client.call('base64', [ 1 ]);
+
+      await client.disconnect();
+      await client.connect();
+      await client.call('base64', [ 2 ]);
+
+      expect(connected).toHaveBeenCalledTimes(1);
+      expect(request).toHaveBeenCalledTimes(1);
+
+      await client.destroy();
+    }
+  });
 });
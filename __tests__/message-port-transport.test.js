@@ -0,0 +1,173 @@
+const path = require('path');
+
+const JRPCClient = require('../index');
+
+const { MessagePortTransport } = JRPCClient;
+
+const server = path.join(__dirname, 'worker-server.js');
+
+let workerThreads = null;
+
+try {
+  workerThreads = require('worker_threads');
+} catch (err) {
+  workerThreads = null;
+}
+
+const { Worker, MessageChannel } = (workerThreads || {});
+
+(workerThreads ? describe : describe.skip)('message-port-transport', () => {
+  beforeEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('throws a TypeError when options are not valid', () => {
+    expect(() => {
+      new MessagePortTransport();
+    }).toThrow(TypeError);
+
+    expect(() => {
+      new MessagePortTransport({
+        port: {
+          postMessage: () => {}
+        }
+      });
+    }).toThrow(TypeError);
+  });
+
+  test('talks to a worker', async () => {
+    for (let structuredClone of [ false, true ]) {
+      let worker = new Worker(server, {
+        workerData: { structuredClone }
+      });
+
+      let client = new JRPCClient({
+        transport: new MessagePortTransport({
+          port: worker,
+          structuredClone
+        })
+      });
+
+      client.use({
+        outgoing: (message, next) => next(message)
+      });
+
+      let notification = new Promise(resolve => client.notification('event', resolve));
+
+      let [ echo, type, notified ] = await client.batch([
+        client.prepare('echo', { value: 'test' }),
+        client.prepare('type', [ new Date() ]),
+        client.prepare('notify')
+      ]);
+
+      expect(echo.result).toEqual({ value: 'test' });
+      expect(type.result).toBe((structuredClone ? '[object Date]' : '[object String]'));
+      expect(notified.result).toBe(true);
+
+      await expect(notification).resolves.toEqual([ 'from worker' ]);
+
+      let exited = new Promise(resolve => worker.once('exit', resolve));
+
+      await client.disconnect();
+
+      await exited;
+
+      expect(client.isConnected).toBe(false);
+
+      client.destroy();
+    }
+  });
+
+  test('does not serialize object mode messages for metrics', async () => {
+    let worker = new Worker(server, {
+      workerData: { structuredClone: true }
+    });
+
+    let client = new JRPCClient({
+      transport: new MessagePortTransport({
+        port: worker,
+        structuredClone: true
+      }),
+      timeout: 1000
+    });
+
+    let sizes = [];
+
+    client.on('request', info => sizes.push(info.size));
+    client.on('response', info => sizes.push(info.size));
+
+    await expect(client.call('echo', [ BigInt(10) ])).resolves.toEqual([ BigInt(10) ]);
+
+    expect(sizes).toEqual([ null, null ]);
+
+    let exited = new Promise(resolve => worker.once('exit', resolve));
+
+    await client.disconnect();
+
+    await exited;
+
+    client.destroy();
+  });
+
+  test('emits disconnected when the worker terminates', async () => {
+    let worker = new Worker(server, {
+      workerData: { structuredClone: true }
+    });
+
+    let client = new JRPCClient({
+      transport: new MessagePortTransport({
+        port: worker,
+        structuredClone: true
+      })
+    });
+
+    await client.call('echo');
+
+    let disconnected = new Promise(resolve => client.once('disconnected', resolve));
+
+    await client.call('crash');
+
+    await expect(disconnected).resolves.toMatchObject({
+      message: 'Crashed'
+    });
+
+    await expect(client.connect()).rejects.toThrow('Port closed');
+
+    client.destroy();
+  });
+
+  test('supports addEventListener channels', async () => {
+    let { port1, port2 } = new MessageChannel();
+
+    let port = {
+      postMessage: data => port1.postMessage(data),
+      addEventListener: (event, listener) => port1.addEventListener(event, listener),
+      removeEventListener: (event, listener) => port1.removeEventListener(event, listener),
+      close: () => port1.close()
+    };
+
+    port2.on('message', (data) => {
+      let request = JSON.parse(data);
+
+      port2.postMessage(JSON.stringify({
+        jsonrpc: '2.0',
+        id: request.id,
+        result: request.method
+      }));
+    });
+
+    let client = new JRPCClient({
+      transport: new MessagePortTransport({
+        port
+      })
+    });
+
+    await expect(client.call('test')).resolves.toBe('test');
+
+    await client.disconnect();
+
+    port2.close();
+
+    client.destroy();
+  });
+});
@@ -0,0 +1,216 @@
+const JRPCClient = require('../index');
+
+const { MockServer, MemoryTransport } = JRPCClient;
+
+describe('mock-server', () => {
+  beforeEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('throws a TypeError when options are not valid', () => {
+    expect(() => {
+      new MockServer({
+        batchOrder: 'sorted'
+      });
+    }).toThrow(TypeError);
+
+    let server = new MockServer();
+
+    expect(() => {
+      server.handle('test');
+    }).toThrow(TypeError);
+
+    expect(() => {
+      new MemoryTransport();
+    }).toThrow(TypeError);
+  });
+
+  test('responds using registered handlers', async () => {
+    let server = new MockServer();
+
+    server.handle('sum', ([ a, b ]) => a + b);
+    server.handle('async', async ({ value }) => value);
+
+    let client = new JRPCClient({
+      transport: server.createTransport()
+    });
+
+    await expect(client.call('sum', [ 1, 2 ])).resolves.toBe(3);
+    await expect(client.call('async', { value: 'test' })).resolves.toBe('test');
+    await expect(client.call('missing')).rejects.toBeInstanceOf(JRPCClient.MethodNotFound);
+
+    expect(server.calls('sum')).toEqual([{
+      jsonrpc: '2.0',
+      id: expect.anything(),
+      method: 'sum',
+      params: [ 1, 2 ]
+    }]);
+
+    expect(server.requests.map(request => request.method)).toEqual([ 'sum', 'async', 'missing' ]);
+
+    server.reset();
+
+    expect(server.requests).toEqual([]);
+
+    client.destroy();
+  });
+
+  test('injects RPC errors', async () => {
+    let server = new MockServer();
+
+    server.handle('declared', null, {
+      error: { code: 1234, message: 'Declared', data: 'data' }
+    });
+
+    server.handle('thrown', () => {
+      throw new JRPCClient.InvalidParams({ code: -32602, message: 'Thrown' });
+    });
+
+    server.handle('crashed', () => {
+      throw new Error('Crashed');
+    });
+
+    let client = new JRPCClient({
+      transport: server.createTransport()
+    });
+
+    await expect(client.call('declared')).rejects.toMatchObject({
+      code: 1234,
+      message: 'Declared',
+      data: 'data'
+    });
+
+    await expect(client.call('thrown')).rejects.toBeInstanceOf(JRPCClient.InvalidParams);
+    await expect(client.call('crashed')).rejects.toBeInstanceOf(JRPCClient.InternalError);
+
+    client.destroy();
+  });
+
+  test('injects transport errors, latency and dropped responses', async () => {
+    let server = new MockServer();
+
+    server.handle('broken', () => true, {
+      transportError: new Error('Broken pipe')
+    });
+
+    server.handle('slow', () => true, {
+      latency: 50
+    });
+
+    server.handle('dropped', () => true, {
+      drop: true
+    });
+
+    let client = new JRPCClient({
+      transport: server.createTransport(),
+      timeout: 100
+    });
+
+    await expect(client.call('broken')).rejects.toBeInstanceOf(JRPCClient.TransportError);
+
+    let start = Date.now();
+
+    await expect(client.call('slow')).resolves.toBe(true);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+
+    await expect(client.call('dropped')).rejects.toBeInstanceOf(JRPCClient.TimeoutError);
+
+    expect(server.calls('dropped')).toHaveLength(1);
+
+    client.destroy();
+  });
+
+  test('responds to batches out of order', async () => {
+    let server = new MockServer({
+      batchOrder: 'reverse'
+    });
+
+    server.handle('echo', ([ value ]) => value);
+
+    let transport = server.createTransport();
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let received = [];
+
+    transport.on('data', (data) => {
+      received.push(data);
+    });
+
+    let results = await client.batch([
+      client.prepare('echo', [ 1 ]),
+      client.prepare('echo', [ 2 ]),
+      client.prepare('echo', [ 3 ])
+    ]);
+
+    expect(results.map(response => response.result)).toEqual([ 1, 2, 3 ]);
+    expect(received[0].map(response => response.result)).toEqual([ 3, 2, 1 ]);
+
+    client.destroy();
+  });
+
+  test('pushes notifications and requests to clients', async () => {
+    let server = new MockServer();
+
+    let client = new JRPCClient({
+      transport: server.createTransport()
+    });
+
+    let handler = jest.fn();
+
+    client.notification('event', handler);
+    client.expose('ping', value => `pong ${value}`);
+
+    server.notify('event', [ 'test' ]);
+
+    expect(handler).toHaveBeenCalledWith([ 'test' ]);
+
+    await expect(server.request('ping', [ 1 ])).resolves.toBe('pong 1');
+    await expect(server.request('missing')).rejects.toBeInstanceOf(JRPCClient.MethodNotFound);
+
+    client.destroy();
+  });
+
+  test('supports transports which need a connection', async () => {
+    let server = new MockServer();
+
+    server.handle('test', () => 'ok');
+
+    let transport = server.createTransport({
+      needsConnection: true
+    });
+
+    let client = new JRPCClient({
+      transport,
+      autoConnect: false
+    });
+
+    expect(client.isConnected).toBe(false);
+
+    await expect(client.call('test')).rejects.toThrow('Transport not connected');
+
+    server.refuseConnections();
+
+    await expect(client.connect()).rejects.toThrow('Connection refused');
+
+    server.refuseConnections(null);
+
+    await client.connect();
+
+    await expect(client.call('test')).resolves.toBe('ok');
+
+    let disconnected = jest.fn();
+
+    client.on('disconnected', disconnected);
+
+    server.disconnect(new Error('Gone'));
+
+    expect(client.isConnected).toBe(false);
+    expect(disconnected).toHaveBeenCalled();
+
+    client.destroy();
+  });
+});
@@ -0,0 +1,22 @@
+const { encode, Decoder } = require('../lib/transports/framing');
+
+const framing = process.argv[2];
+const decoder = new Decoder(framing);
+
+process.stdin.on('data', (chunk) => {
+  for (let message of decoder.push(chunk)) {
+    let request = JSON.parse(message);
+
+    if (request.method === 'exit') {
+      process.exit(3);
+    }
+
+    let response = {
+      jsonrpc: '2.0',
+      id: request.id,
+      result: request.params
+    };
+
+    process.stdout.write(encode(framing, JSON.stringify(response)));
+  }
+});
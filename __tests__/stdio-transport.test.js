@@ -0,0 +1,203 @@
+const path = require('path');
+const { PassThrough } = require('stream');
+
+const JRPCClient = require('../index');
+const { encode, Decoder } = require('../lib/transports/framing');
+
+const { StdioTransport } = JRPCClient;
+
+const server = path.join(__dirname, 'stdio-server.js');
+
+describe('stdio-transport', () => {
+  beforeEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('throws a TypeError when options are not valid', () => {
+    expect(() => {
+      new StdioTransport();
+    }).toThrow(TypeError);
+
+    expect(() => {
+      new StdioTransport({
+        command: 'node',
+        framing: 'xml'
+      });
+    }).toThrow(TypeError);
+
+    expect(() => {
+      new StdioTransport({
+        input: new PassThrough()
+      });
+    }).toThrow(TypeError);
+  });
+
+  test('decodes framed messages split across chunks', () => {
+    for (let framing of [ 'newline', 'content-length', 'netstring' ]) {
+      let decoder = new Decoder(framing);
+      let encoded = Buffer.concat([ encode(framing, '{"a":"é"}'), encode(framing, '{"b":2}') ]);
+
+      let messages = [];
+
+      for (let i = 0; i < encoded.length; i += 3) {
+        messages = messages.concat(decoder.push(encoded.slice(i, i + 3)));
+      }
+
+      expect(messages).toEqual([ '{"a":"é"}', '{"b":2}' ]);
+    }
+
+    expect(() => {
+      new Decoder('netstring').push('abc:');
+    }).toThrow('Invalid netstring length');
+
+    expect(() => {
+      new Decoder('content-length').push('Content-Type: json\r\n\r\n');
+    }).toThrow('Missing Content-Length header');
+  });
+
+  test('talks to a child process', async () => {
+    for (let framing of [ 'newline', 'content-length', 'netstring' ]) {
+      let transport = new StdioTransport({
+        command: process.execPath,
+        args: [ server, framing ],
+        framing
+      });
+
+      let client = new JRPCClient({
+        transport,
+        autoConnect: false
+      });
+
+      await client.connect();
+
+      expect(transport.process).not.toBe(null);
+
+      let results = await Promise.all([
+        client.call('echo', [ 'hello' ]),
+        client.call('echo', { multi: 'line\ntext' })
+      ]);
+
+      expect(results).toEqual([ [ 'hello' ], { multi: 'line\ntext' } ]);
+
+      await client.disconnect();
+
+      expect(client.isConnected).toBe(false);
+      expect(transport.process).toBe(null);
+
+      client.destroy();
+    }
+  });
+
+  test('emits disconnected when the child process exits', async () => {
+    let transport = new StdioTransport({
+      command: process.execPath,
+      args: [ server, 'newline' ]
+    });
+
+    let client = new JRPCClient({
+      transport,
+      autoConnect: false,
+      timeout: 0
+    });
+
+    await client.connect();
+
+    let disconnected = new Promise(resolve => client.once('disconnected', resolve));
+
+    let call = client.call('exit');
+
+    await expect(disconnected).resolves.toMatchObject({
+      message: 'Process exited with code 3'
+    });
+
+    await expect(call).rejects.toBeInstanceOf(JRPCClient.ConnectionLostError);
+
+    client.destroy();
+  });
+
+  test('shares a connection attempt between concurrent connects', async () => {
+    let transport = new StdioTransport({
+      command: process.execPath,
+      args: [ server, 'newline' ]
+    });
+
+    let connected = jest.fn();
+
+    transport.on('connected', connected);
+
+    await Promise.all([ transport.connect(), transport.connect(), transport.connect() ]);
+
+    expect(connected).toHaveBeenCalledTimes(1);
+
+    await transport.disconnect();
+
+    let connecting = transport.connect();
+
+    await transport.disconnect();
+
+    await expect(connecting).resolves.toBe(undefined);
+
+    expect(connected).toHaveBeenCalledTimes(2);
+    expect(transport.isConnected).toBe(false);
+    expect(transport.process).toBe(null);
+  });
+
+  test('rejects connect when the command cannot be spawned', async () => {
+    let transport = new StdioTransport({
+      command: path.join(__dirname, 'missing-command')
+    });
+
+    await expect(transport.connect()).rejects.toThrow();
+
+    expect(transport.isConnected).toBe(false);
+  });
+
+  test('wraps a pair of streams', async () => {
+    let input = new PassThrough();
+    let output = new PassThrough();
+
+    let transport = new StdioTransport({
+      input,
+      output,
+      framing: 'content-length'
+    });
+
+    let client = new JRPCClient({
+      transport
+    });
+
+    let decoder = new Decoder('content-length');
+
+    output.on('data', (chunk) => {
+      for (let message of decoder.push(chunk)) {
+        let request = JSON.parse(message);
+
+        input.write(encode('content-length', JSON.stringify({
+          jsonrpc: '2.0',
+          id: request.id,
+          result: request.method
+        })));
+      }
+    });
+
+    await expect(client.call('test')).resolves.toBe('test');
+
+    let errors = [];
+
+    client.on('error', err => errors.push(err));
+
+    input.write('Content-Length: 3\r\n\r\nabc');
+
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(errors).toHaveLength(1);
+
+    let disconnected = new Promise(resolve => client.once('disconnected', resolve));
+
+    input.end();
+
+    await expect(disconnected).resolves.toBe(null);
+
+    client.destroy();
+  });
+});
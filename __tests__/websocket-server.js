@@ -0,0 +1,116 @@
+const http = require('http');
+const crypto = require('crypto');
+
+const { opcodes, encode, encodeClose, Parser } = require('../lib/transports/websocket-frame');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+class WebSocketServer {
+  constructor({ protocols = [], answerPings = true } = {}) {
+    this.protocols = protocols;
+    this.answerPings = answerPings;
+    this.sockets = new Set();
+    this.frames = [];
+
+    this.server = http.createServer((req, res) => {
+      res.statusCode = 426;
+      res.end();
+    });
+
+    this.server.on('upgrade', this.upgrade.bind(this));
+  }
+
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, '127.0.0.1', () => {
+        resolve(`ws://127.0.0.1:${this.server.address().port}/rpc`);
+      });
+    });
+  }
+
+  close() {
+    for (let socket of this.sockets) {
+      socket.destroy();
+    }
+
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  upgrade(req, socket) {
+    if (req.url !== '/rpc') {
+      return socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    }
+
+    let accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + GUID).digest('base64');
+    let offered = (req.headers['sec-websocket-protocol'] || '').split(/\s*,\s*/);
+    let protocol = offered.find(name => this.protocols.indexOf(name) !== -1);
+
+    let headers = [
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`
+    ];
+
+    if (protocol) {
+      headers.push(`Sec-WebSocket-Protocol: ${protocol}`);
+    }
+
+    socket.write(`${headers.join('\r\n')}\r\n\r\n`);
+
+    this.sockets.add(socket);
+
+    socket.on('close', () => this.sockets.delete(socket));
+
+    let parser = new Parser(1024 * 1024);
+
+    socket.on('data', (chunk) => {
+      for (let frame of parser.push(chunk)) {
+        this.frames.push(frame);
+
+        if (frame.opcode === opcodes.PING && this.answerPings) {
+          socket.write(encode(opcodes.PONG, frame.payload, false));
+        } else if (frame.opcode === opcodes.CLOSE) {
+          socket.end(encode(opcodes.CLOSE, frame.payload, false));
+        } else if (frame.opcode === opcodes.TEXT) {
+          this.message(socket, JSON.parse(frame.payload.toString('utf8')));
+        }
+      }
+    });
+  }
+
+  message(socket, request) {
+    if (request.method === 'close') {
+      return socket.write(encode(opcodes.CLOSE, encodeClose(4000, 'Bye'), false));
+    }
+
+    if (request.method === 'ping') {
+      socket.write(encode(opcodes.PING, Buffer.from('hello'), false));
+    }
+
+    let payload = Buffer.from(JSON.stringify({
+      jsonrpc: '2.0',
+      id: request.id,
+      result: request.params
+    }));
+
+    if (request.method === 'fragmented') {
+      let first = encode(opcodes.TEXT, payload.slice(0, 5), false);
+      let second = encode(opcodes.CONTINUATION, payload.slice(5), false);
+
+      first[0] &= 0x7f;
+
+      return socket.write(Buffer.concat([ first, second ]));
+    }
+
+    socket.write(encode(opcodes.TEXT, payload, false));
+  }
+
+  broadcast(message) {
+    for (let socket of this.sockets) {
+      socket.write(encode(opcodes.TEXT, Buffer.from(JSON.stringify(message)), false));
+    }
+  }
+}
+
+module.exports = WebSocketServer;
@@ -0,0 +1,194 @@
+const JRPCClient = require('../index');
+const WebSocketServer = require('./websocket-server');
+const { opcodes } = require('../lib/transports/websocket-frame');
+
+const { WebSocketTransport } = JRPCClient;
+
+describe('websocket-transport', () => {
+  let server;
+  let address;
+
+  beforeEach(async () => {
+    jest.useRealTimers();
+
+    server = new WebSocketServer({
+      protocols: [ 'jsonrpc-2.0' ]
+    });
+
+    address = await server.listen();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('throws a TypeError when options are not valid', () => {
+    expect(() => {
+      new WebSocketTransport();
+    }).toThrow(TypeError);
+
+    expect(() => {
+      new WebSocketTransport({
+        url: 'http://127.0.0.1'
+      });
+    }).toThrow(TypeError);
+
+    expect(() => {
+      new WebSocketTransport({
+        url: address,
+        protocols: [ '' ]
+      });
+    }).toThrow(TypeError);
+  });
+
+  test('sends calls and receives responses and notifications', async () => {
+    let transport = new WebSocketTransport({
+      url: address,
+      protocols: [ 'unknown', 'jsonrpc-2.0' ]
+    });
+
+    let client = new JRPCClient({
+      transport,
+      autoConnect: false
+    });
+
+    await client.connect();
+
+    expect(transport.protocol).toBe('jsonrpc-2.0');
+
+    await expect(client.call('echo', [ 'é'.repeat(100) ])).resolves.toEqual([ 'é'.repeat(100) ]);
+    await expect(client.call('fragmented', { value: 'test' })).resolves.toEqual({ value: 'test' });
+
+    let notification = new Promise(resolve => client.notification('event', resolve));
+
+    server.broadcast({
+      jsonrpc: '2.0',
+      method: 'event',
+      params: [ 1 ]
+    });
+
+    await expect(notification).resolves.toEqual([ 1 ]);
+
+    await client.call('ping');
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    let pong = server.frames.find(frame => frame.opcode === opcodes.PONG);
+
+    expect(pong.masked).toBe(true);
+    expect(pong.payload.toString()).toBe('hello');
+
+    let disconnected = jest.fn();
+
+    client.on('disconnected', disconnected);
+
+    await client.disconnect();
+
+    expect(disconnected).toHaveBeenCalledWith(null);
+    expect(client.isConnected).toBe(false);
+
+    let close = server.frames.find(frame => frame.opcode === opcodes.CLOSE);
+
+    expect(close.payload.readUInt16BE(0)).toBe(1000);
+
+    client.destroy();
+  });
+
+  test('surfaces the close code and reason', async () => {
+    let client = new JRPCClient({
+      transport: new WebSocketTransport({
+        url: address
+      }),
+      autoConnect: false
+    });
+
+    await client.connect();
+
+    let disconnected = new Promise(resolve => client.once('disconnected', resolve));
+
+    client.notify('close');
+
+    let err = await disconnected;
+
+    expect(err).toBeInstanceOf(JRPCClient.CloseError);
+    expect(err.code).toBe(4000);
+    expect(err.reason).toBe('Bye');
+
+    client.destroy();
+  });
+
+  test('drops the connection when pings are not answered', async () => {
+    server.answerPings = false;
+
+    let client = new JRPCClient({
+      transport: new WebSocketTransport({
+        url: address,
+        pingInterval: 30
+      }),
+      autoConnect: false
+    });
+
+    await client.connect();
+
+    let err = await new Promise(resolve => client.once('disconnected', resolve));
+
+    expect(err).toMatchObject({
+      code: 1006,
+      reason: 'Ping timeout'
+    });
+
+    client.destroy();
+  });
+
+  test('shares a connection attempt between concurrent connects', async () => {
+    let transport = new WebSocketTransport({
+      url: address,
+      pingInterval: 1000
+    });
+
+    let connected = jest.fn();
+
+    transport.on('connected', connected);
+
+    await Promise.all([ transport.connect(), transport.connect(), transport.connect() ]);
+
+    expect(connected).toHaveBeenCalledTimes(1);
+    expect(server.sockets.size).toBe(1);
+
+    await transport.disconnect();
+
+    let connecting = transport.connect();
+
+    await transport.disconnect();
+
+    await expect(connecting).resolves.toBe(undefined);
+
+    expect(connected).toHaveBeenCalledTimes(2);
+    expect(transport.isConnected).toBe(false);
+  });
+
+  test('rejects connect when the handshake fails', async () => {
+    let transport = new WebSocketTransport({
+      url: address.replace('/rpc', '/other')
+    });
+
+    await expect(transport.connect()).rejects.toThrow();
+
+    transport = new WebSocketTransport({
+      url: address,
+      protocols: [ 'other' ]
+    });
+
+    server.protocols = [ 'rogue' ];
+
+    server.server.removeAllListeners('upgrade');
+
+    server.server.on('upgrade', (req, socket) => {
+      socket.end('HTTP/1.1 200 OK\r\nContent-Length: 0\r\n\r\n');
+    });
+
+    await expect(transport.connect()).rejects.toThrow('Unexpected response status 200');
+
+    expect(transport.isConnected).toBe(false);
+  });
+});
@@ -0,0 +1,30 @@
+const { parentPort, workerData } = require('worker_threads');
+
+const JRPCClient = require('../index');
+
+let client = new JRPCClient({
+  transport: new JRPCClient.MessagePortTransport({
+    port: parentPort,
+    structuredClone: workerData.structuredClone
+  })
+});
+
+client.expose('echo', params => params);
+
+client.expose('type', ([ value ]) => Object.prototype.toString.call(value));
+
+client.expose('notify', () => {
+  client.notify('event', [ 'from worker' ]);
+
+  return true;
+});
+
+client.expose('crash', () => {
+  setTimeout(() => {
+    throw new Error('Crashed');
+  }, 50);
+
+  return true;
+});
+
+client.connect();
@@ -11,7 +11,7 @@
  */
 
 /**
- * An RPC error.
+ * An RPC error, as found in a response.
  *
  * @typedef {Object} JRPCClient~RPCError
  * @property {Number} code - Error code.
@@ -32,6 +32,25 @@ const check = require('check-types');
 const pProps = require('p-props');
 const LazyPromise = require('lazy-promise');
 const EventEmitter = require('events');
+const v8 = require('v8');
+
+const backoff = require('./lib/backoff');
+const spans = require('./lib/tracing');
+const middleware = require('./lib/middleware');
+const proxy = require('./lib/proxy');
+const RateLimiter = require('./lib/rate-limit');
+const ResponseCache = require('./lib/cache');
+const Metrics = require('./lib/metrics');
+const NotificationStream = require('./lib/notification-stream');
+const Subscription = require('./lib/subscription');
+const errors = require('./lib/errors');
+const MockServer = require('./lib/mock-server');
+const MemoryTransport = require('./lib/transports/memory');
+const StdioTransport = require('./lib/transports/stdio');
+const WebSocketTransport = require('./lib/transports/websocket');
+const MessagePortTransport = require('./lib/transports/message-port');
+
+const { RPCError, TransportError, TimeoutError, QueueTimeoutError, AbortError, ConnectionLostError, BatchError, RateLimitedError } = errors;
 
 let _data = new WeakMap();
 
@@ -68,16 +87,77 @@ class JRPCClient extends EventEmitter {
    *   <li>have a <b>disconnect</b> method returning a promise.</li>
    * </ul>
    *
+   * A transport with a truthy <b>objectMode</b> property receives messages as objects instead of strings.
+   *
+   * When calls carry metadata (see the `meta` option of {@link JRPCClient#call|`call`}), <b>send</b> receives a second <b>context</b> parameter: an object merging the metadata of the messages being sent. Credentials injected as metadata by the `auth` option are found in its `auth` property. Transports ignoring this parameter keep working.
+   *
    * @param {Object} options - Client options.
    * @param {Object} options.transport - Transport instance to use for communication.
    * @param {Boolean} [options.autoConnect=true] - Whether to connect the transport automatically when sending data.
    * @param {Boolean} [options.batchRequests=true] - Turning this off will disable batching. The batching API will still be available but will send requests individually.
-   * @param {Number} [options.timeout=60000] - Time to wait for a server response before returning an error. Minimum `1000`.
+   * @param {Boolean|Object} [options.autoBatch=false] - Whether to coalesce calls made within a short window into a single batch. Requires `batchRequests`. Use an object to customize the window. Calls made with `meta` are sent on their own.
+   * @param {Number} [options.autoBatch.maxWaitMs=0] - Maximum time to wait for other calls, in milliseconds. With `0`, calls made within the same tick are coalesced.
+   * @param {Number} [options.autoBatch.maxSize=Infinity] - Maximum number of calls in a batch. The batch is sent as soon as it is full.
+   * @param {Number} [options.maxBatchSize=Infinity] - Maximum number of messages sent in a single batch. Larger batches are split into several chunks.
+   * @param {Number} [options.maxBatchBytes=Infinity] - Maximum size of a single batch once serialized, in bytes. Larger batches are split into several chunks.
+   * @param {Number} [options.batchConcurrency=1] - Maximum number of chunks of a split batch being sent at once.
+   * @param {Number} [options.maxInFlight=Infinity] - Maximum number of calls made using {@link JRPCClient#call|`call`} awaiting a response. Further calls wait in a queue, ordered by priority. The calls of {@link JRPCClient#batch|`batch`} and the notifications are not limited, and do not count toward the limit.
+   * @param {Number} [options.queueTimeout=0] - Time a call can wait in the queue, in milliseconds. Use `0` to wait indefinitely.
+   * @param {Boolean|Object} [options.rateLimit=false] - Token bucket rate limiting applied to outgoing requests and notifications. Each message takes a token from the `default` bucket and from the bucket of the first method pattern it matches.
+   * @param {Object} [options.rateLimit.default] - Client-wide bucket, with its `rate` (tokens per second) and `burst` (maximum number of tokens, defaults to `rate`).
+   * @param {Object} [options.rateLimit.methods={}] - Buckets by method pattern, such as `search.*`. Patterns can use `*` as a wildcard.
+   * @param {String} [options.rateLimit.mode='wait'] - What to do when no token is available: `wait` for one, or `reject` with a {@link RateLimitedError|`RateLimitedError`}.
+   * @param {Number|Number[]} [options.rateLimit.throttleCode] - Error codes the server uses to signal throttling. The buckets of the method are then blocked for the delay found in the error data.
+   * @param {String} [options.rateLimit.retryAfterPath='retryAfter'] - Dot-separated path of the retry-after delay in the error data, in seconds.
+   * @param {Number} [options.timeout=60000] - Time to wait for a server response before returning an error, in milliseconds. Use `0` to wait indefinitely.
+   * @param {Boolean|Object} [options.reconnect=false] - Whether to reconnect the transport automatically when it gets disconnected. Only used when the transport needs a connection. Use an object to customize the backoff.
+   * @param {Number} [options.reconnect.maxAttempts=Infinity] - Maximum number of consecutive attempts.
+   * @param {Number} [options.reconnect.minDelay=1000] - Delay before the first attempt, in milliseconds.
+   * @param {Number} [options.reconnect.maxDelay=30000] - Maximum delay between two attempts, in milliseconds.
+   * @param {Number} [options.reconnect.factor=2] - Multiplier applied to the delay after each attempt.
+   * @param {Number} [options.reconnect.jitter=0.5] - Randomization factor applied to the delay, between `0` and `1`.
+   * @param {Boolean} [options.resendIdempotent=false] - Whether to keep idempotent calls pending when the transport gets disconnected and resend them once it is connected again. Other pending calls are rejected with a {@link ConnectionLostError|`ConnectionLostError`}.
+   * @param {Boolean|Object} [options.retry=false] - Whether to retry failed calls. Transport errors, timeouts and lost connections are only retried for idempotent calls, RPC errors only when their code is listed in `codes`. Use an object to customize the policy. Each attempt is sent as a new request, with its own id. Only the first attempt goes through the outgoing middleware.
+   * @param {Number} [options.retry.maxAttempts=3] - Maximum number of attempts, including the first one.
+   * @param {Number} [options.retry.minDelay=1000] - Delay before the first retry, in milliseconds.
+   * @param {Number} [options.retry.maxDelay=30000] - Maximum delay between two attempts, in milliseconds.
+   * @param {Number} [options.retry.factor=2] - Multiplier applied to the delay after each attempt.
+   * @param {Number} [options.retry.jitter=0.5] - Randomization factor applied to the delay, between `0` and `1`.
+   * @param {Number[]} [options.retry.codes=[]] - RPC error codes which can be retried.
+   * @param {String[]} [options.retry.methods=[]] - Methods treated as idempotent, in addition to the calls made with the `idempotent` option.
+   * @param {Function} [options.retry.retryOn] - Predicate invoked with (error, attempt) to decide whether to retry, instead of the rules above.
+   * @param {Boolean|Object} [options.auth=false] - Authentication provider. Credentials are added to each outgoing request, and calls failing with one of its `codes` are replayed once the credentials have been refreshed.
+   * @param {Function} [options.auth.credentials] - Function returning the credentials (or a promise), invoked before sending each message. Nothing is added when it returns `null` or `undefined`.
+   * @param {String|Function} [options.auth.inject='params'] - Where to add the credentials: `params` adds them to the RPC parameters (as the `param` field of named parameters, or as a last positional parameter), `meta` passes them to the transport in the `auth` property of the context. Use a function invoked with (request, credentials) and returning the request to send for anything else.
+   * @param {String} [options.auth.param='auth'] - Name of the named parameter holding the credentials.
+   * @param {Function} [options.auth.refresh] - Function refreshing the credentials, returning a promise. It is invoked once for all the calls failing at the same time, and outgoing messages wait for it.
+   * @param {Number[]} [options.auth.codes=[]] - RPC error codes meaning the credentials must be refreshed, such as an expired token.
+   * @param {Boolean|Object} [options.cache=false] - Response cache used by {@link JRPCClient#call|`call`}. Identical concurrent calls to idempotent or allow-listed methods share a single request, made with the options (`timeout`, `retry`, `priority`...) of the first call, and successful results of allow-listed methods are cached. Each caller gets its own copy of the result. See {@link JRPCClient#cache|`cache`}.
+   * @param {String[]} [options.cache.methods=[]] - Method patterns whose results are cached, such as `user.get*`. Patterns can use `*` as a wildcard.
+   * @param {Number} [options.cache.ttl=60000] - Time to keep a result, in milliseconds.
+   * @param {Number} [options.cache.maxEntries=1000] - Maximum number of results kept by the default in-memory store. The least recently used results are evicted first.
+   * @param {Object} [options.cache.store] - Custom store with `get(key)`, `set(key, value, ttl)`, `delete(key)` and `keys()` methods, any of which may return a promise.
+   * @param {Object} [options.cache.invalidateOn={}] - Method patterns to invalidate by server notification name, such as `{ 'user.updated': 'user.*' }`.
+   * @param {Object} [options.metrics={}] - Options of the metrics returned by {@link JRPCClient#stats|`stats`}.
+   * @param {Number[]} [options.metrics.buckets] - Upper bounds of the latency histogram buckets, in milliseconds. Defaults to `[ 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000 ]`.
+   * @param {Object} [options.metrics.adapter] - Object notified of the lifecycle events, such as an exporter updating Prometheus metrics. Its `request`, `response`, `timeout` and `batch` methods, when present, are invoked with the same information as the events.
+   * @param {Boolean|Object} [options.tracing=false] - Tracing integration. Each call made using {@link JRPCClient#call|`call`} or {@link JRPCClient#batch|`batch`} opens a client span, closed on response, timeout or transport error, and the W3C `traceparent` of the span is added to its requests.
+   * @param {Object} options.tracing.tracer - OpenTelemetry-compatible tracer, with a `startSpan(name, options)` method. Spans need an `end` method and a `spanContext` method returning their `traceId`, `spanId` and `traceFlags`. Their `setAttribute`, `setStatus` and `recordException` methods are used when present.
+   * @param {String} [options.tracing.inject='params'] - Where to add the `traceparent`: `params` adds a field to named parameters (for positional parameters, it is passed to the transport in the context instead), `member` adds a top-level member to the request and `meta` passes it to the transport in the context.
+   * @param {String} [options.tracing.field='traceparent'] - Name of the field, member or context property holding the `traceparent`.
    *
    * @throws {TypeError} Invalid parameter.
    *
    * @emits JRPCClient#connected
    * @emits JRPCClient#disconnected
+   * @emits JRPCClient#reconnecting
+   * @emits JRPCClient#reconnect_failed
+   * @emits JRPCClient#retry
+   * @emits JRPCClient#request
+   * @emits JRPCClient#response
+   * @emits JRPCClient#timeout
+   * @emits JRPCClient#batch
+   * @emits JRPCClient#unhandledNotification
    * @emits JRPCClient#error
    *
    * @example
@@ -85,14 +165,66 @@ class JRPCClient extends EventEmitter {
    *   transport: transport // Your transport instance
    * });
    */
-  constructor({ transport, autoConnect = true, batchRequests = true, timeout = 60000 }) {
+  constructor({ transport, autoConnect = true, batchRequests = true, autoBatch = false, maxBatchSize = Infinity, maxBatchBytes = Infinity, batchConcurrency = 1, maxInFlight = Infinity, queueTimeout = 0, rateLimit = false, timeout = 60000, reconnect = false, resendIdempotent = false, retry = false, auth = false, cache = false, metrics = {}, tracing = false }) {
     super();
 
     checkTransport(transport);
 
     check.assert.boolean(autoConnect, 'invalid "autoConnect" option');
     check.assert.boolean(batchRequests, 'invalid "batchRequests" option');
-    check.assert.greaterOrEqual(timeout, 1000, 'invalid "timeout" option');
+    check.assert(maxBatchSize === Infinity || (check.integer(maxBatchSize) && maxBatchSize >= 1), 'invalid "maxBatchSize" option', TypeError);
+    check.assert(maxBatchBytes === Infinity || (check.integer(maxBatchBytes) && maxBatchBytes >= 1), 'invalid "maxBatchBytes" option', TypeError);
+    check.assert(check.integer(batchConcurrency) && batchConcurrency >= 1, 'invalid "batchConcurrency" option', TypeError);
+    check.assert(maxInFlight === Infinity || (check.integer(maxInFlight) && maxInFlight >= 1), 'invalid "maxInFlight" option', TypeError);
+    check.assert.greaterOrEqual(queueTimeout, 0, 'invalid "queueTimeout" option');
+    check.assert.greaterOrEqual(timeout, 0, 'invalid "timeout" option');
+    check.assert.boolean(resendIdempotent, 'invalid "resendIdempotent" option');
+
+    if (autoBatch === true) {
+      autoBatch = {};
+    }
+
+    if (autoBatch !== false) {
+      autoBatch = normalizeAutoBatch(autoBatch);
+
+      check.assert(batchRequests, '"autoBatch" option requires "batchRequests"', TypeError);
+    }
+
+    check.assert(rateLimit === false || check.object(rateLimit), 'invalid "rateLimit" option', TypeError);
+
+    let rateLimiter = (rateLimit ? new RateLimiter(rateLimit) : null);
+
+    if (reconnect === true) {
+      reconnect = {};
+    }
+
+    if (reconnect !== false) {
+      reconnect = backoff.normalize(reconnect, 'reconnect');
+    }
+
+    if (retry === true) {
+      retry = {};
+    }
+
+    if (retry !== false) {
+      retry = normalizeRetry(retry);
+    }
+
+    if (auth !== false) {
+      auth = normalizeAuth(auth);
+    }
+
+    check.assert(check.boolean(cache) || check.object(cache), 'invalid "cache" option', TypeError);
+
+    cache = (cache ? new ResponseCache((cache === true ? {} : cache)) : null);
+
+    check.assert.object(metrics, 'invalid "metrics" option');
+
+    metrics = new Metrics(metrics);
+
+    if (tracing !== false) {
+      tracing = spans.normalize(tracing);
+    }
 
     let transportHandlers = {
       'data': onTransportData.bind(this),
@@ -106,15 +238,63 @@ class JRPCClient extends EventEmitter {
     }
 
     let remote = new JRPC({
-      remoteTimeout: Math.floor(timeout / 1000)
+      remoteTimeout: 0
     });
 
     _data.set(this, {
       transport,
       transportHandlers,
       remote,
+      pending: new Map(),
+      notificationHandlers: new Map(),
+      notificationListeners: new Map(),
+      notificationStreams: new Set(),
+      subscriptions: new Set(),
+      middleware: {
+        outgoing: [],
+        incoming: []
+      },
       autoConnect,
-      batchRequests
+      batchRequests,
+      autoBatch,
+      autoBatchQueue: {
+        timer: null,
+        waiting: []
+      },
+      batchLimits: {
+        maxBatchSize,
+        maxBatchBytes,
+        batchConcurrency
+      },
+      maxInFlight,
+      queueTimeout,
+      rateLimiter,
+      queue: {
+        active: 0,
+        entries: []
+      },
+      timeout,
+      reconnect,
+      resendIdempotent,
+      retry,
+      retryTimers: new Set(),
+      auth,
+      authRefresh: null,
+      authGeneration: 0,
+      requestMeta: new WeakMap(),
+      requestBatchMeta: new WeakMap(),
+      requestTrace: new WeakMap(),
+      retriedRequests: new WeakSet(),
+      batchOptions: new WeakMap(),
+      cache,
+      metrics,
+      tracing,
+      reconnection: {
+        attempts: 0,
+        timer: null,
+        connecting: false,
+        stopped: false
+      }
     });
   }
 
@@ -142,6 +322,45 @@ class JRPCClient extends EventEmitter {
     return (!transport.needsConnection || transport.isConnected);
   }
 
+  /**
+   * Number of calls awaiting a response, including the calls of batches which the `maxInFlight` option does not limit.
+   *
+   * @type {Number}
+   * @readonly
+   */
+  get pending() {
+    let { pending } = _data.get(this);
+
+    return pending.size;
+  }
+
+  /**
+   * Number of calls waiting in the queue because of the `maxInFlight` option.
+   *
+   * @type {Number}
+   * @readonly
+   */
+  get queued() {
+    let { queue } = _data.get(this);
+
+    return queue.entries.length;
+  }
+
+  /**
+   * Response cache, `null` unless the `cache` option is set.
+   *
+   * @type {ResponseCache}
+   * @readonly
+   *
+   * @example
+   * await client.cache.invalidate('user.*');
+   */
+  get cache() {
+    let { cache } = _data.get(this);
+
+    return cache;
+  }
+
   /**
    * Connect the transport.
    *
@@ -149,30 +368,111 @@ class JRPCClient extends EventEmitter {
    * @reject {Error} Connection error.
    */
   async connect() {
-    let { transport } = _data.get(this);
+    let { transport, reconnection } = _data.get(this);
 
     if (transport.needsConnection && !transport.isConnected) {
-      return await transport.connect();
+      await transport.connect();
+
+      reconnection.stopped = false;
     }
   }
 
   /**
    * Disconnect the transport.
    *
+   * Automatic reconnection is stopped until the transport gets connected again.
+   *
    * @promise {Promise} Resolves once disconnected.
    */
   async disconnect() {
     let { transport } = _data.get(this);
 
+    this.stopReconnecting();
+
     if (transport.needsConnection && transport.isConnected) {
       return await transport.disconnect();
     }
   }
 
+  /**
+   * Stop reconnecting the transport automatically.
+   *
+   * Automatic reconnection resumes once the transport gets connected again. Idempotent calls kept for resending are rejected.
+   *
+   * @example
+   * client.on('reconnecting', (attempt) => {
+   *   if (attempt > 3) {
+   *     client.stopReconnecting();
+   *   }
+   * });
+   */
+  stopReconnecting() {
+    let { reconnection } = _data.get(this);
+
+    clearTimeout(reconnection.timer);
+
+    reconnection.timer = null;
+    reconnection.attempts = 0;
+    reconnection.stopped = true;
+
+    failKeptCalls.call(this);
+  }
+
+  /**
+   * Add a middleware to the client.
+   *
+   * Middlewares are invoked in the order they were added. Each hook receives the message and a `next` function which must be called to pass the message (or a replacement) along. Hooks can be asynchronous.
+   *
+   * An `outgoing` hook is invoked before data is sent through the transport. It can return a response (or an array of responses) without calling `next` to skip the transport entirely: that response is then handled as if it was received from the server. The `outgoing` hooks only see the first attempt of the calls retried according to the `retry` option.
+   *
+   * An `incoming` hook is invoked when data is received from the transport. A message is dropped if a hook returns without calling `next`.
+   *
+   * @param {Object} middleware - The middleware.
+   * @param {Function} [middleware.outgoing] - Hook for outgoing messages. Invoked with (message, next).
+   * @param {Function} [middleware.incoming] - Hook for incoming messages. Invoked with (message, next).
+   *
+   * @returns {JRPCClient} The client instance, for chaining.
+   *
+   * @throws {TypeError} Invalid parameter.
+   *
+   * @example
+   * client.use({
+   *   outgoing: (message, next) => {
+   *     message.params.token = 'secret';
+   *
+   *     return next(message);
+   *   },
+   *   incoming: async (message, next) => {
+   *     await next(message);
+   *
+   *     console.log('received', message);
+   *   }
+   * });
+   */
+  use({ outgoing, incoming } = {}) {
+    check.assert.maybe.function(outgoing, 'invalid "middleware.outgoing" hook');
+    check.assert.maybe.function(incoming, 'invalid "middleware.incoming" hook');
+    check.assert(outgoing || incoming, 'missing middleware hook', TypeError);
+
+    let data = _data.get(this);
+
+    if (outgoing) {
+      data.middleware.outgoing.push(outgoing);
+    }
+
+    if (incoming) {
+      data.middleware.incoming.push(incoming);
+    }
+
+    return this;
+  }
+
   /**
    * Set a handler function for a server notification. It will be invoked with the notification parameters as its first argument.
    *
-   * The current handler will be replaced by the one specified.
+   * The current handler will be replaced by the one specified. Use {@link JRPCClient#onNotification|`onNotification`} to register several listeners.
+   *
+   * Server requests with an id sent to the notification also invoke the handler, and are answered with an error (code `-1`).
    *
    * @param {String} name - Name of the notification.
    * @param {Function} [handler=null] - New handler for the notification. Invoked with (params). Use `null` to remove the current handler.
@@ -183,265 +483,2413 @@ class JRPCClient extends EventEmitter {
    * });
    */
   notification(name, handler) {
-    let { remote } = _data.get(this);
+    let { notificationHandlers } = _data.get(this);
 
     if (typeof handler === 'function') {
-      remote.expose(name, (params, next) => {
-        handler.call(null, params);
-
-        next(true);
-      });
-    } else if (remote.exposed && remote.exposed.hasOwnProperty(name)) {
-      delete remote.exposed[name];
+      notificationHandlers.set(name, handler);
+    } else {
+      notificationHandlers.delete(name);
     }
   }
 
   /**
-   * Call a remote method.
+   * Add a listener for a server notification. It will be invoked with the notification parameters as its first argument.
    *
-   * @param {String} method - RPC method to call.
-   * @param {*} params - RPC parameters.
-   * @param {Object} [options={}] - Call options.
-   * @param {Boolean} [options.rejectOnError=true] - Whether to reject when the server responds with an RPC error.
+   * Several listeners can be added for the same notification. Use `*` as the name to listen to every notification: the listener is then invoked with the notification name and parameters.
    *
-   * @promise {Promise} Resolves after the call.
-   * @resolve {*} When `rejectOnError` is `true`, the RPC result.
-   * @resolve {Object https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object} When `rejectOnError` is `false`, {@link JRPCClient~RPCResponse|`RPCResponse`} object.
-   * @reject {Object https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object} When `rejectOnError` is `true`, {@link JRPCClient~RPCError|`RPCError`} object.
-   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Transport error.
-   * @reject {TypeError https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypeError} Invalid parameter.
+   * Notifications without any listener, handler or exposed method (wildcard listeners excluded) trigger an {@link JRPCClient#event:unhandledNotification|`unhandledNotification`} event.
    *
-   * @connection-required
+   * @param {String} name - Name of the notification, or `*`.
+   * @param {Function} listener - The listener. Invoked with (params), or (name, params) for `*`.
+   *
+   * @returns {JRPCClient} The client instance, for chaining.
+   *
+   * @throws {TypeError} Invalid parameter.
    *
    * @example
-   * let result = await client.call('method', [ 'params' ]);
+   * client.onNotification('notification', (params) => {
+   *   console.log(`received notification with ${params}`);
+   * });
+   *
+   * client.onNotification('*', (name, params) => {
+   *   console.log(`received ${name} with ${params}`);
+   * });
    */
-  call(method, params, { rejectOnError = true } = {}) {
-    return new Promise((resolve, reject) => {
-      if (!check.nonEmptyString(method)) {
-        return reject(new TypeError('missing/invalid "method" parameter'));
-      }
+  onNotification(name, listener) {
+    check.assert.nonEmptyString(name, 'missing/invalid "name" parameter');
+    check.assert.function(listener, 'missing/invalid "listener" parameter');
 
-      let { transport, remote, autoConnect } = _data.get(this);
+    let { notificationListeners } = _data.get(this);
 
-      let makeCall = () => {
-        remote.call(method, (params || []), (err, result) => {
-          if (rejectOnError) {
-            if (err) {
-              return reject(err);
-            }
+    if (!notificationListeners.has(name)) {
+      notificationListeners.set(name, []);
+    }
 
-            return resolve(result);
-          }
+    notificationListeners.get(name).push(listener);
 
-          resolve({
-            error: (err || null),
-            result: (result || null)
-          });
-        });
+    return this;
+  }
 
-        remote.transmit((data, next) => {
-          next();
+  /**
+   * Remove a listener added with {@link JRPCClient#onNotification|`onNotification`}.
+   *
+   * @param {String} name - Name of the notification, or `*`.
+   * @param {Function} [listener] - The listener to remove. Omit it to remove every listener for the notification.
+   *
+   * @returns {JRPCClient} The client instance, for chaining.
+   *
+   * @throws {TypeError} Invalid parameter.
+   */
+  offNotification(name, listener) {
+    check.assert.nonEmptyString(name, 'missing/invalid "name" parameter');
+    check.assert.maybe.function(listener, 'invalid "listener" parameter');
 
-          transport.send(data).catch(reject);
-        });
-      };
+    let { notificationListeners } = _data.get(this);
 
-      if (!this.isConnected) {
-        if (!autoConnect) {
-          return reject(new Error('Transport not connected'));
-        }
+    let listeners = notificationListeners.get(name);
 
-        return this.connect().then(makeCall).catch(reject);
+    if (listeners && listener) {
+      let index = listeners.lastIndexOf(listener);
+
+      if (index !== -1) {
+        listeners.splice(index, 1);
       }
+    }
 
-      makeCall();
-    });
+    if (listeners && (!listener || !listeners.length)) {
+      notificationListeners.delete(name);
+    }
+
+    return this;
   }
 
   /**
-   * Prepare a call for {@link JRPCClient#batch|`batch`}.
+   * Get an asynchronous iterator over a server notification. It yields the notification parameters.
    *
-   * @param {String} method - RPC method to call.
-   * @param {*} params - RPC parameters.
+   * Use `*` as the name to iterate over every notification: it then yields objects with `method` and `params` properties.
    *
-   * @promise {LazyPromise} Resolves after the call.
-   * @resolve {Object https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object} {@link JRPCClient~RPCResponse|`RPCResponse`} object.
-   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Transport error.
-   * @reject {TypeError https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypeError} Invalid parameter.
+   * The iteration ends when the signal is aborted or the client is destroyed.
+   *
+   * @param {String} name - Name of the notification, or `*`.
+   * @param {Object} [options={}] - Stream options.
+   * @param {AbortSignal} [options.signal] - Signal used to end the iteration.
+   * @param {Number} [options.highWaterMark=100] - Maximum number of notifications buffered while the consumer is busy.
+   * @param {String} [options.overflow='drop-oldest'] - What to do when the buffer is full: `drop-oldest`, `drop-newest` or `error`.
+   *
+   * @returns {NotificationStream} The iterator.
+   *
+   * @throws {TypeError} Invalid parameter.
+   *
+   * @example
+   * for await (let params of client.notifications('log')) {
+   *   console.log(params);
+   * }
    */
-  prepare(method, params) {
-    return new LazyPromise((resolve, reject) => {
-      if (!check.nonEmptyString(method)) {
-        return reject(new TypeError('missing/invalid "method" parameter'));
-      }
+  notifications(name, { signal, highWaterMark, overflow } = {}) {
+    check.assert.nonEmptyString(name, 'missing/invalid "name" parameter');
 
-      let { transport, remote, batchRequests } = _data.get(this);
+    let { notificationStreams } = _data.get(this);
 
-      remote.call(method, (params || []), (err, result) => {
-        resolve({
-          error: (err || null),
-          result: (result || null)
-        });
-      });
+    let listener;
 
-      if (!batchRequests) {
-        remote.transmit((data, next) => {
-          next();
+    let stream = new NotificationStream({
+      signal,
+      highWaterMark,
+      overflow,
+      onClose: () => {
+        notificationStreams.delete(stream);
 
-          transport.send(data).catch(reject);
-        });
+        if (listener && _data.has(this)) {
+          this.offNotification(name, listener);
+        }
       }
     });
+
+    if (stream.closed) {
+      return stream;
+    }
+
+    if (name === '*') {
+      listener = (method, params) => stream.push({ method, params });
+    } else {
+      listener = (params) => stream.push(params);
+    }
+
+    notificationStreams.add(stream);
+
+    this.onNotification(name, listener);
+
+    return stream;
   }
 
   /**
-   * Send a batch of remote calls.
+   * Subscribe to a server-side event source.
    *
-   * Calls must be prepared with {@link JRPCClient#prepare|`prepare`}.
+   * The subscribe method is called with `params` and must return a subscription ID. Notifications named `notificationMethod` are then routed to the subscription when the value found at `idPath` in their parameters matches that ID.
    *
-   * @param {LazyPromise[]|Object} requests - List of calls to make. Can be an array or an object of prepared calls.
+   * Unless `resubscribe` is `true`, the subscription is closed when the transport gets disconnected. Otherwise, the subscribe method is called again once the transport is connected.
    *
-   * @promise {Promise} Resolves after all the calls.
-   * @resolve {Object[] https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object} When `requests` is an array, array of {@link JRPCClient~RPCResponse|`RPCResponse`} objects in the same order.
-   * @resolve {Object https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object} When `requests` is an object, object with the same keys mapped to {@link JRPCClient~RPCResponse|`RPCResponse`} objects.
-   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Transport error.
+   * @param {String} method - RPC method used to subscribe.
+   * @param {*} params - RPC parameters.
+   * @param {Object} options - Subscription options.
+   * @param {String} options.notificationMethod - Name of the notifications sent for the subscription.
+   * @param {String} [options.unsubscribeMethod] - RPC method called with the subscription ID when closing the subscription.
+   * @param {String} [options.idPath='subscription'] - Dot-separated path of the subscription ID in the notification parameters.
+   * @param {String} [options.resultPath] - Dot-separated path of the value to deliver in the notification parameters. The whole parameters are delivered by default.
+   * @param {Boolean} [options.resubscribe=false] - Whether to subscribe again after a reconnection.
+   * @param {Number} [options.highWaterMark=100] - Maximum number of notifications buffered for the iterator.
+   * @param {String} [options.overflow='drop-oldest'] - What to do when the buffer is full: `drop-oldest`, `drop-newest` or `error`.
+   *
+   * @promise {Promise} Resolves once subscribed.
+   * @resolve {Subscription} The subscription.
+   * @reject {RPCError} Error returned by the server.
    * @reject {TypeError https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypeError} Invalid parameter.
    *
    * @connection-required
    *
    * @example
-   * let requests = [
-   *   client.prepare('method1', [ 'params' ]),
-   *   client.prepare('method2', [ 'params' ])
-   * ];
+   * let subscription = await client.subscribe('eth_subscribe', [ 'newHeads' ], {
+   *   notificationMethod: 'eth_subscription',
+   *   unsubscribeMethod: 'eth_unsubscribe',
+   *   resultPath: 'result'
+   * });
    *
-   * let responses = await client.batch(requests);
+   * subscription.on('data', (head) => {
+   *   console.log(head);
+   * });
+   *
+   * await subscription.close();
    */
-  batch(requests) {
+  subscribe(method, params, {
+    notificationMethod,
+    unsubscribeMethod,
+    idPath = 'subscription',
+    resultPath,
+    resubscribe = false,
+    highWaterMark = 100,
+    overflow
+  } = {}) {
     return new Promise((resolve, reject) => {
-      let array;
-
-      if (check.array(requests)) {
-        if (check.emptyArray(requests)) {
-          return resolve([]);
-        }
-
-        if (!check.array.of.instanceStrict(requests, LazyPromise)) {
-          return reject(new TypeError('missing/invalid "requests" parameter'));
-        }
-
-        array = true;
-      } else if (check.object(requests)) {
-        if (check.emptyObject(requests)) {
-          return resolve({});
-        }
-
-        if (!check.object.of.instanceStrict(requests, LazyPromise)) {
-          return reject(new TypeError('missing/invalid "requests" parameter'));
-        }
+      if (!check.nonEmptyString(method)) {
+        return reject(new TypeError('missing/invalid "method" parameter'));
+      }
 
-        array = false;
-      } else {
-        return reject(new TypeError('missing/invalid "requests" parameter'));
+      if (!check.nonEmptyString(notificationMethod)) {
+        return reject(new TypeError('missing/invalid "notificationMethod" option'));
       }
 
-      let { transport, remote, autoConnect, batchRequests } = _data.get(this);
+      if (!check.maybe.nonEmptyString(unsubscribeMethod)) {
+        return reject(new TypeError('invalid "unsubscribeMethod" option'));
+      }
 
-      let makeCalls = () => {
-        if (array) {
-          Promise.all(requests).then(resolve).catch(reject);
-        } else {
-          pProps(requests).then(resolve).catch(reject);
-        }
+      if (!check.nonEmptyString(idPath) || !check.maybe.nonEmptyString(resultPath)) {
+        return reject(new TypeError('invalid "idPath" or "resultPath" option'));
+      }
 
-        if (batchRequests) {
-          setImmediate(remote.transmit.bind(remote, (data, next) => {
-            next();
+      if (!check.boolean(resubscribe)) {
+        return reject(new TypeError('invalid "resubscribe" option'));
+      }
 
-            transport.send(data).catch(reject);
-          }));
-        }
-      };
+      let { subscriptions } = _data.get(this);
+
+      let subscription = new Subscription(this, {
+        method,
+        params,
+        notificationMethod,
+        unsubscribeMethod,
+        idPath,
+        resultPath,
+        resubscribe,
+        highWaterMark,
+        overflow
+      });
 
-      if (!this.isConnected) {
-        if (!autoConnect) {
-          return reject(new Error('Transport not connected'));
-        }
+      subscriptions.add(subscription);
 
-        return this.connect().then(makeCalls).catch(reject);
-      }
+      subscription.once('close', () => {
+        subscriptions.delete(subscription);
+      });
 
-      makeCalls();
+      subscription.open().then(() => resolve(subscription)).catch(reject);
     });
   }
 
   /**
-   * Destroy the client instance. Use this if you do not need this instance anymore.
+   * Expose a method which the server can call.
    *
-   * It will disconnect the transport and try to free up resources.
+   * The handler is invoked with the request parameters as its first argument. The value it returns (or resolves with) is sent back to the server as the result. If it throws (or rejects) with an {@link RPCError|`RPCError`}, its code, message and data are sent back as the error. Any other error is sent back as an internal error (code `-32603`).
    *
-   * @promise {Promise} Resolves once the instance has been destroyed.
+   * Requests for methods which are not exposed are answered with a method not found error (code `-32601`).
+   *
+   * @param {String} method - Name of the method.
+   * @param {Function} [handler=null] - Handler for the method. Invoked with (params). Use `null` to stop exposing the method.
+   *
+   * @throws {TypeError} Invalid parameter.
+   *
+   * @example
+   * client.expose('confirm', async (params) => {
+   *   return await askUser(params.question);
+   * });
    */
-  async destroy() {
-    this.removeAllListeners();
-
-    let { transport, transportHandlers, remote } = _data.get(this);
+  expose(method, handler) {
+    check.assert.nonEmptyString(method, 'missing/invalid "method" parameter');
+    check.assert.maybe.function(handler, 'invalid "handler" parameter');
 
-    for (let event in transportHandlers) {
-      transport.removeListener(event, transportHandlers[event]);
-    }
+    let { remote } = _data.get(this);
 
-    remote.shutdown();
+    if (!handler) {
+      if (remote.exposed.hasOwnProperty(method)) {
+        delete remote.exposed[method];
+      }
 
-    await this.disconnect();
+      return;
+    }
 
-    _data.delete(this);
+    remote.expose(method, (params, next) => {
+      Promise.resolve().then(() => handler.call(null, params)).then((result) => {
+        next(null, (result === undefined ? null : result));
+      }, (err) => {
+        next(toErrorObject(err));
+      }).then(flushResponses.bind(this));
+    });
   }
-}
-
-/**
- * Fired when the transport gets connected.
- *
- * @event JRPCClient#connected
- */
 
-/**
- * Fired when the transport gets disconnected.
- *
+  /**
+   * Call a remote method.
+   *
+   * @param {String} method - RPC method to call.
+   * @param {*} params - RPC parameters.
+   * @param {Object} [options={}] - Call options.
+   * @param {Boolean} [options.rejectOnError=true] - Whether to reject when the server responds with an RPC error.
+   * @param {Number} [options.timeout] - Time to wait for a server response, in milliseconds. Defaults to the client's `timeout` option.
+   * @param {AbortSignal} [options.signal] - Signal used to abort the call.
+   * @param {Boolean} [options.idempotent=false] - Whether the call can safely be sent again. See the client's `resendIdempotent` option.
+   * @param {Number} [options.priority=0] - Priority of the call when it has to wait for the `maxInFlight` limit. Calls with a higher priority are sent first.
+   * @param {Number} [options.queueTimeout] - Time to wait for the `maxInFlight` limit, in milliseconds. Defaults to the client's `queueTimeout` option.
+   * @param {Boolean|Object} [options.retry] - Retry policy of the call. Use `false` to disable retries, or an object overriding the client's `retry` option.
+   * @param {Object} [options.meta] - Metadata passed to the transport along with the request, such as headers or routing keys. The request is then never coalesced by the `autoBatch` option.
+   * @param {Boolean} [options.cache=true] - Whether to use the client's `cache`. Calls made with a `signal` or `meta` bypass it.
+   *
+   * @promise {Promise} Resolves after the call.
+   * @resolve {*} When `rejectOnError` is `true`, the RPC result.
+   * @resolve {Object https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object} When `rejectOnError` is `false`, {@link JRPCClient~RPCResponse|`RPCResponse`} object.
+   * @reject {RPCError} When `rejectOnError` is `true`, error returned by the server. The subclass matches the error code.
+   * @reject {TimeoutError} No response received in time.
+   * @reject {QueueTimeoutError} The call waited too long for the `maxInFlight` limit.
+   * @reject {AbortError} Call aborted.
+   * @reject {ConnectionLostError} Transport disconnected before a response was received.
+   * @reject {TransportError} Transport error.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Connection error, or the credentials could not be refreshed.
+   * @reject {TypeError https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypeError} Invalid parameter.
+   *
+   * @connection-required
+   *
+   * @emits JRPCClient#retry
+   *
+   * @example
+   * let result = await client.call('method', [ 'params' ]);
+   */
+  call(method, params, { rejectOnError = true, timeout, signal, idempotent = false, priority = 0, queueTimeout, retry, meta, cache = true } = {}) {
+    return new Promise((resolve, reject) => {
+      if (!check.nonEmptyString(method)) {
+        return reject(new TypeError('missing/invalid "method" parameter'));
+      }
+
+      let optionsError = checkCallOptions({ timeout, signal, meta });
+
+      if (optionsError) {
+        return reject(optionsError);
+      }
+
+      if (!check.number(priority)) {
+        return reject(new TypeError('invalid "priority" option'));
+      }
+
+      if (!check.maybe.greaterOrEqual(queueTimeout, 0)) {
+        return reject(new TypeError('invalid "queueTimeout" option'));
+      }
+
+      if (!check.boolean(cache)) {
+        return reject(new TypeError('invalid "cache" option'));
+      }
+
+      if (signal && signal.aborted) {
+        return reject(new AbortError({ method }));
+      }
+
+      let policy;
+
+      try {
+        policy = resolveRetry.call(this, retry);
+      } catch (err) {
+        return reject(err);
+      }
+
+      let { autoConnect, maxInFlight } = _data.get(this);
+
+      let trace = openSpan.call(this, method, { 'rpc.method': method });
+      let traceparent = (trace && trace.traceparent);
+
+      let attempt = (fail, callback, number) => {
+        let makeCall = () => {
+          let { autoBatch, autoBatchQueue } = _data.get(this);
+
+          if (autoBatch && meta && autoBatchQueue.waiting.length) {
+            flushAutoBatch.call(this);
+          }
+
+          let call = queueCall.call(this, method, (params || []), { timeout, signal, idempotent, meta, traceparent, retried: (number > 1) }, fail, callback);
+
+          (autoBatch && !meta ? queueTransmit : transmit).call(this, method).catch((err) => {
+            if (call) {
+              return call.fail(err);
+            }
+
+            fail(err);
+          });
+        };
+
+        if (!this.isConnected) {
+          if (!autoConnect) {
+            return fail(new Error('Transport not connected'));
+          }
+
+          return this.connect().then(makeCall).catch(fail);
+        }
+
+        makeCall();
+      };
+
+      let fail = (err) => {
+        closeSpan.call(this, trace, err);
+
+        reject(err);
+      };
+
+      let settle = (err, result, response) => {
+        closeSpan.call(this, trace, err);
+
+        if (err instanceof Error) {
+          return reject(err);
+        }
+
+        if (rejectOnError) {
+          if (err) {
+            return reject(RPCError.from(err, { method, response }));
+          }
+
+          return resolve(result);
+        }
+
+        resolve({
+          error: (err || null),
+          result: (result || null)
+        });
+      };
+
+      let execute = (fail, callback) => {
+        if (maxInFlight === Infinity) {
+          return withRetry.call(this, method, { policy, idempotent, signal }, attempt, fail, callback);
+        }
+
+        acquireSlot.call(this, method, { priority, queueTimeout, signal }).then((release) => {
+          let releasing = (callback) => {
+            return (...args) => {
+              release();
+              callback(...args);
+            };
+          };
+
+          withRetry.call(this, method, { policy, idempotent, signal }, attempt, releasing(fail), releasing(callback));
+        }).catch(fail);
+      };
+
+      let { cache: responseCache } = _data.get(this);
+
+      if (!responseCache || !cache || signal || meta || !(idempotent || responseCache.cacheable(method))) {
+        return execute(fail, settle);
+      }
+
+      responseCache.fetch(method, (params || []), execute, fail, settle);
+    });
+  }
+
+  /**
+   * Send a notification to the server. No response is expected.
+   *
+   * @param {String} method - RPC method to notify.
+   * @param {*} params - RPC parameters.
+   *
+   * @promise {Promise} Resolves once the notification has been sent.
+   * @reject {TransportError} Transport error.
+   * @reject {TypeError https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypeError} Invalid parameter.
+   *
+   * @connection-required
+   *
+   * @example
+   * await client.notify('method', [ 'params' ]);
+   */
+  notify(method, params) {
+    return new Promise((resolve, reject) => {
+      if (!check.nonEmptyString(method)) {
+        return reject(new TypeError('missing/invalid "method" parameter'));
+      }
+
+      let { remote, autoConnect } = _data.get(this);
+
+      let makeNotification = () => {
+        remote.notify(method, (params || []));
+
+        transmit.call(this, method).then(() => resolve()).catch(reject);
+      };
+
+      if (!this.isConnected) {
+        if (!autoConnect) {
+          return reject(new Error('Transport not connected'));
+        }
+
+        return this.connect().then(makeNotification).catch(reject);
+      }
+
+      makeNotification();
+    });
+  }
+
+  /**
+   * Prepare a call for {@link JRPCClient#batch|`batch`}.
+   *
+   * Notifications can be prepared as well. They will be sent along with the other calls but no response will be expected.
+   *
+   * @param {String} method - RPC method to call.
+   * @param {*} params - RPC parameters.
+   * @param {Object} [options={}] - Call options.
+   * @param {Boolean} [options.notification=false] - Whether to send the call as a notification.
+   * @param {Number} [options.timeout] - Time to wait for a server response, in milliseconds. Defaults to the client's `timeout` option.
+   * @param {AbortSignal} [options.signal] - Signal used to abort the call.
+   * @param {Boolean} [options.idempotent=false] - Whether the call can safely be sent again. See the client's `resendIdempotent` option.
+   * @param {Boolean|Object} [options.retry] - Retry policy of the call. Use `false` to disable retries, or an object overriding the client's `retry` option. Retries are sent individually, outside of the batch.
+   * @param {Object} [options.meta] - Metadata passed to the transport along with the request. It takes precedence over the metadata of the batch.
+   *
+   * @promise {LazyPromise} Resolves after the call.
+   * @resolve {Object https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object} {@link JRPCClient~RPCResponse|`RPCResponse`} object. On timeout, abort or rate limiting, its `error` is a {@link TimeoutError|`TimeoutError`}, an {@link AbortError|`AbortError`} or a {@link RateLimitedError|`RateLimitedError`}.
+   * @resolve {undefined} When `notification` is `true`.
+   * @reject {ConnectionLostError} Transport disconnected before a response was received.
+   * @reject {TransportError} Transport error.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} The credentials could not be refreshed.
+   * @reject {TypeError https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypeError} Invalid parameter.
+   *
+   * @emits JRPCClient#retry
+   */
+  prepare(method, params, { notification = false, timeout, signal, idempotent = false, retry, meta } = {}) {
+    let prepared = new LazyPromise((resolve, reject) => {
+      if (!check.nonEmptyString(method)) {
+        return reject(new TypeError('missing/invalid "method" parameter'));
+      }
+
+      let optionsError = checkCallOptions({ timeout, signal, meta });
+
+      if (optionsError) {
+        return reject(optionsError);
+      }
+
+      let policy;
+
+      try {
+        policy = resolveRetry.call(this, retry);
+      } catch (err) {
+        return reject(err);
+      }
+
+      let { remote, batchRequests, requestMeta, requestBatchMeta, requestTrace, batchOptions } = _data.get(this);
+
+      let batchMeta = null;
+      let traceparent = null;
+
+      if (batchOptions.has(prepared)) {
+        ({ meta: batchMeta, traceparent } = batchOptions.get(prepared));
+      }
+
+      if (notification) {
+        remote.notify(method, (params || []));
+
+        let request = remote.outbox.requests[remote.outbox.requests.length - 1];
+
+        if (meta) {
+          requestMeta.set(request, meta);
+        }
+
+        if (batchMeta) {
+          requestBatchMeta.set(request, batchMeta);
+        }
+
+        if (traceparent) {
+          requestTrace.set(request, traceparent);
+        }
+
+        if (!batchRequests) {
+          return transmit.call(this, method).then(() => resolve()).catch(reject);
+        }
+
+        return resolve();
+      }
+
+      if (signal && signal.aborted) {
+        return resolve({
+          error: new AbortError({ method }),
+          result: null
+        });
+      }
+
+      let attempt = (fail, callback, number) => {
+        let call = queueCall.call(this, method, (params || []), { timeout, signal, idempotent, meta, traceparent, retried: (number > 1) }, fail, callback);
+
+        if (call && batchMeta) {
+          requestBatchMeta.set(call.request, batchMeta);
+        }
+
+        if (batchRequests && number === 1) {
+          return;
+        }
+
+        transmit.call(this, method).catch((err) => {
+          if (call) {
+            return call.fail(err);
+          }
+
+          fail(err);
+        });
+      };
+
+      withRetry.call(this, method, { policy, idempotent, signal }, attempt, reject, (err, result) => {
+        resolve({
+          error: (err || null),
+          result: (result || null)
+        });
+      });
+    });
+
+    return prepared;
+  }
+
+  /**
+   * Send a batch of remote calls.
+   *
+   * Calls must be prepared with {@link JRPCClient#prepare|`prepare`}. The calls of a batch are sent at once, regardless of the `maxInFlight` option.
+   *
+   * @param {LazyPromise[]|Object} requests - List of calls to make. Can be an array or an object of prepared calls.
+   * @param {Object} [options={}] - Batch options.
+   * @param {Object} [options.meta] - Metadata passed to the transport along with the batch, merged with the metadata of each prepared call.
+   *
+   * @promise {Promise} Resolves after all the calls.
+   * @resolve {Object[] https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object} When `requests` is an array, array of {@link JRPCClient~RPCResponse|`RPCResponse`} objects in the same order. Notifications are mapped to `undefined`.
+   * @resolve {Object https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object} When `requests` is an object, object with the same keys mapped to {@link JRPCClient~RPCResponse|`RPCResponse`} objects. Notifications are mapped to `undefined`.
+   * @reject {ConnectionLostError} Transport disconnected before all the responses were received.
+   * @reject {TransportError} Transport error.
+   * @reject {BatchError} The batch was split according to the `maxBatchSize` and `maxBatchBytes` options and some chunks could not be sent.
+   * @reject {RateLimitedError} A notification of the batch was rejected by the rate limiter. Rate limited calls are reported in their response instead.
+   * @reject {TypeError https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypeError} Invalid parameter.
+   *
+   * @connection-required
+   *
+   * @example
+   * let requests = [
+   *   client.prepare('method1', [ 'params' ]),
+   *   client.prepare('method2', [ 'params' ])
+   * ];
+   *
+   * let responses = await client.batch(requests);
+   */
+  batch(requests, { meta } = {}) {
+    return new Promise((resolve, reject) => {
+      let array;
+
+      if (check.array(requests)) {
+        if (check.emptyArray(requests)) {
+          return resolve([]);
+        }
+
+        if (!check.array.of.instanceStrict(requests, LazyPromise)) {
+          return reject(new TypeError('missing/invalid "requests" parameter'));
+        }
+
+        array = true;
+      } else if (check.object(requests)) {
+        if (check.emptyObject(requests)) {
+          return resolve({});
+        }
+
+        if (!check.object.of.instanceStrict(requests, LazyPromise)) {
+          return reject(new TypeError('missing/invalid "requests" parameter'));
+        }
+
+        array = false;
+      } else {
+        return reject(new TypeError('missing/invalid "requests" parameter'));
+      }
+
+      if (!check.maybe.object(meta)) {
+        return reject(new TypeError('invalid "meta" option'));
+      }
+
+      let { autoConnect, batchRequests, batchOptions } = _data.get(this);
+
+      let prepared = (array ? requests : Object.values(requests));
+      let trace = openSpan.call(this, 'batch', { 'rpc.jsonrpc.batch_size': prepared.length });
+      let traceparent = (trace && trace.traceparent);
+
+      if (meta || traceparent) {
+        for (let request of prepared) {
+          batchOptions.set(request, { meta, traceparent });
+        }
+      }
+
+      if (trace) {
+        let settle = resolve;
+        let fail = reject;
+
+        resolve = (responses) => {
+          let failed = (array ? responses : Object.keys(requests).map(key => responses[key])).find(response => response && response.error);
+
+          closeSpan.call(this, trace, (failed ? failed.error : null));
+
+          settle(responses);
+        };
+
+        reject = (err) => {
+          closeSpan.call(this, trace, err);
+
+          fail(err);
+        };
+      }
+
+      let makeCalls = () => {
+        if (array) {
+          Promise.all(requests).then(resolve).catch(reject);
+        } else {
+          pProps(requests).then(resolve).catch(reject);
+        }
+
+        if (batchRequests) {
+          setImmediate(() => {
+            transmit.call(this).catch(reject);
+          });
+        }
+      };
+
+      if (!this.isConnected) {
+        if (!autoConnect) {
+          return reject(new Error('Transport not connected'));
+        }
+
+        return this.connect().then(makeCalls).catch(reject);
+      }
+
+      makeCalls();
+    });
+  }
+
+  /**
+   * Create a proxy object which turns method calls into remote calls.
+   *
+   * Property names are joined using `separator` to make the RPC method name and the arguments are sent as RPC parameters. Calls behave like {@link JRPCClient#call|`call`} with the default options.
+   *
+   * The `$batch` method of the proxy takes a function which is invoked with another proxy preparing calls instead. It must return an array or an object of prepared calls which are then sent using {@link JRPCClient#batch|`batch`}.
+   *
+   * Remote methods named `then` cannot be called through the proxy.
+   *
+   * @param {Object} [options={}] - Proxy options.
+   * @param {String} [options.separator='.'] - String used to join property names.
+   * @param {Boolean} [options.namedParams=false] - Whether to send a single object argument as named parameters instead of an array.
+   *
+   * @returns {Proxy} The proxy.
+   *
+   * @throws {TypeError} Invalid parameter.
+   *
+   * @example
+   * let api = client.proxy();
+   *
+   * let user = await api.user.get(42); // client.call('user.get', [ 42 ])
+   *
+   * let responses = await api.$batch(api => [
+   *   api.user.get(42),
+   *   api.user.get(43)
+   * ]);
+   */
+  proxy({ separator = '.', namedParams = false } = {}) {
+    check.assert.nonEmptyString(separator, 'invalid "separator" option');
+    check.assert.boolean(namedParams, 'invalid "namedParams" option');
+
+    return proxy.create(this, {
+      separator,
+      namedParams
+    });
+  }
+
+  /**
+   * Take a snapshot of the request metrics, collected since the client was created.
+   *
+   * Counters are cumulative. Each latency bucket counts the responses received within its upper bound (`le`), in milliseconds, like a Prometheus histogram.
+   *
+   * @returns {Object} Metrics with the `pending` and `queued` calls, the `requests` sent (including notifications), the `responses` received, the `errors` among them and their `errorRate`, the `errorCodes` counts, the `timeouts` and the `batches` sent. Its `methods` property holds the same counters by method, along with their `latency` histogram.
+   *
+   * @example
+   * let { methods } = client.stats();
+   *
+   * for (let method in methods) {
+   *   let { count, sum } = methods[method].latency;
+   *
+   *   console.log(method, (count ? sum / count : 0));
+   * }
+   */
+  stats() {
+    let { metrics } = _data.get(this);
+
+    return Object.assign({
+      pending: this.pending,
+      queued: this.queued
+    }, metrics.snapshot());
+  }
+
+  /**
+   * Destroy the client instance. Use this if you do not need this instance anymore.
+   *
+   * It will disconnect the transport and try to free up resources.
+   *
+   * @promise {Promise} Resolves once the instance has been destroyed.
+   */
+  async destroy() {
+    this.removeAllListeners();
+    this.stopReconnecting();
+
+    let { transport, transportHandlers, remote, pending, notificationStreams, subscriptions, autoBatchQueue, queue, retryTimers } = _data.get(this);
+
+    for (let event in transportHandlers) {
+      transport.removeListener(event, transportHandlers[event]);
+    }
+
+    clearTimeout(autoBatchQueue.timer);
+
+    autoBatchQueue.waiting = [];
+
+    for (let entry of queue.entries) {
+      entry.cleanup();
+    }
+
+    queue.entries = [];
+
+    for (let timer of retryTimers) {
+      clearTimeout(timer);
+    }
+
+    retryTimers.clear();
+
+    for (let call of pending.values()) {
+      call.cleanup();
+    }
+
+    pending.clear();
+
+    for (let subscription of Array.from(subscriptions)) {
+      subscription.end();
+    }
+
+    for (let stream of Array.from(notificationStreams)) {
+      stream.close();
+    }
+
+    remote.shutdown();
+
+    await this.disconnect();
+
+    _data.delete(this);
+  }
+}
+
+/**
+ * Fired when the transport gets connected.
+ *
+ * @event JRPCClient#connected
+ */
+
+/**
+ * Fired when the transport gets disconnected.
+ *
  * @event JRPCClient#disconnected
  * @param {Error} error - Encountered error, `null` if none.
  */
 
 /**
- * Fired when an error is encountered by the transport.
+ * Fired when an automatic reconnection is scheduled.
+ *
+ * @event JRPCClient#reconnecting
+ * @param {Number} attempt - Attempt number, starting at `1`.
+ * @param {Number} delay - Delay before the attempt, in milliseconds.
+ */
+
+/**
+ * Fired when a request or a notification is handed to the transport.
+ *
+ * @event JRPCClient#request
+ * @param {Object} info - Request information.
+ * @param {String} info.method - RPC method.
+ * @param {Number} info.id - Request ID, `null` for notifications.
+ * @param {Number} info.size - Size of the serialized request, in bytes. `null` when the transport is in object mode.
+ */
+
+/**
+ * Fired when the response to a call is received.
+ *
+ * @event JRPCClient#response
+ * @param {Object} info - Response information.
+ * @param {String} info.method - RPC method.
+ * @param {Number} info.id - Request ID.
+ * @param {Number} info.duration - Time elapsed since the request was sent, in milliseconds.
+ * @param {Number} info.size - Size of the serialized response, in bytes. `null` when the transport is in object mode.
+ * @param {String} info.outcome - `success` or `error`.
+ * @param {Number} info.code - RPC error code, `null` on success.
+ */
+
+/**
+ * Fired when a call times out.
+ *
+ * @event JRPCClient#timeout
+ * @param {Object} info - Call information.
+ * @param {String} info.method - RPC method.
+ * @param {Number} info.id - Request ID.
+ * @param {Number} info.duration - Time elapsed since the request was sent (or queued, if it was not sent), in milliseconds.
+ */
+
+/**
+ * Fired when a batch is handed to the transport, after the `request` events of its messages.
+ *
+ * @event JRPCClient#batch
+ * @param {Object} info - Batch information.
+ * @param {Number} info.count - Number of messages in the batch.
+ * @param {Number} info.size - Size of the serialized batch, in bytes. `null` when the transport is in object mode.
+ */
+
+/**
+ * Fired when a failed call is about to be retried.
+ *
+ * @event JRPCClient#retry
+ * @param {Number} attempt - Number of the failed attempt, starting at `1`.
+ * @param {Error} error - Error which caused the retry. RPC errors are converted to an {@link RPCError|`RPCError`}.
+ * @param {Number} delay - Delay before the next attempt, in milliseconds.
+ */
+
+/**
+ * Fired when automatic reconnection gave up after reaching `maxAttempts`.
+ *
+ * @event JRPCClient#reconnect_failed
+ * @param {Error} error - Error encountered by the last attempt.
+ */
+
+/**
+ * Fired when a notification is received without any listener, handler or exposed method.
+ *
+ * @event JRPCClient#unhandledNotification
+ * @param {String} name - Name of the notification.
+ * @param {*} params - Notification parameters.
+ */
+
+/**
+ * Fired when an error is encountered by the transport, or thrown by a notification handler or listener, a lifecycle event listener, the metrics adapter or the tracer.
+ *
+ * @event JRPCClient#error
+ * @param {Error} error - Encountered error.
+ */
+
+module.exports = JRPCClient;
+
+Object.assign(module.exports, errors, {
+  MockServer,
+  MemoryTransport,
+  StdioTransport,
+  WebSocketTransport,
+  MessagePortTransport
+});
+
+/**
+ * Check if the transport is valid.
+ *
+ * @param {Object} transport - The transport.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function checkTransport(transport) {
+  check.assert.object(transport, 'missing/invalid "transport" option');
+  check.assert.instanceStrict(transport, EventEmitter, 'missing/invalid "transport" option');
+
+  check.assert.boolean(transport.needsConnection, 'missing/invalid "transport.needsConnection" property');
+  check.assert.function(transport.send, 'missing/invalid "transport.send" method');
+
+  if (transport.needsConnection) {
+    check.assert.boolean(transport.isConnected, 'missing/invalid "transport.isConnected" property');
+
+    check.assert.function(transport.connect, 'missing/invalid "transport.connect" method');
+    check.assert.function(transport.disconnect, 'missing/invalid "transport.disconnect" method');
+  }
+}
+
+/**
+ * Validate the automatic batching options and fill in the defaults.
+ *
+ * @param {Object} options - Automatic batching options.
+ *
+ * @returns {Object} Normalized options.
+ *
+ * @throws {TypeError} Invalid option.
+ *
+ * @private
+ */
+function normalizeAutoBatch(options) {
+  check.assert.object(options, 'invalid "autoBatch" option');
+
+  let { maxWaitMs = 0, maxSize = Infinity } = options;
+
+  check.assert.greaterOrEqual(maxWaitMs, 0, 'invalid "autoBatch.maxWaitMs" option');
+  check.assert(maxSize === Infinity || (check.integer(maxSize) && maxSize >= 1), 'invalid "autoBatch.maxSize" option', TypeError);
+
+  return {
+    maxWaitMs,
+    maxSize
+  };
+}
+
+/**
+ * Validate the retry options and fill in the defaults.
+ *
+ * @param {Object} options - Retry options.
+ *
+ * @returns {Object} Normalized options.
+ *
+ * @throws {TypeError} Invalid option.
+ *
+ * @private
+ */
+function normalizeRetry(options) {
+  check.assert.object(options, 'invalid "retry" option');
+
+  let { codes = [], methods = [], retryOn } = options;
+
+  check.assert.array.of.integer(codes, 'invalid "retry.codes" option');
+  check.assert.array.of.nonEmptyString(methods, 'invalid "retry.methods" option');
+  check.assert.maybe.function(retryOn, 'invalid "retry.retryOn" option');
+
+  return Object.assign(backoff.normalize(Object.assign({ maxAttempts: 3 }, options), 'retry'), {
+    codes,
+    methods,
+    retryOn
+  });
+}
+
+/**
+ * Validate the authentication options and fill in the defaults.
+ *
+ * @param {Object} options - Authentication options.
+ *
+ * @returns {Object} Normalized options.
+ *
+ * @throws {TypeError} Invalid option.
+ *
+ * @private
+ */
+function normalizeAuth(options) {
+  check.assert.object(options, 'invalid "auth" option');
+
+  let { credentials, inject = 'params', param = 'auth', refresh, codes = [] } = options;
+
+  check.assert.maybe.function(credentials, 'invalid "auth.credentials" option');
+  check.assert(inject === 'params' || inject === 'meta' || check.function(inject), 'invalid "auth.inject" option', TypeError);
+  check.assert.nonEmptyString(param, 'invalid "auth.param" option');
+  check.assert.maybe.function(refresh, 'invalid "auth.refresh" option');
+  check.assert.array.of.integer(codes, 'invalid "auth.codes" option');
+  check.assert(!codes.length || check.function(refresh), '"auth.codes" option requires "auth.refresh"', TypeError);
+
+  return {
+    credentials,
+    inject,
+    param,
+    refresh,
+    codes
+  };
+}
+
+/**
+ * Convert an error thrown by a method handler to an error object for the response.
+ *
+ * @param {*} err - Thrown error.
+ *
+ * @returns {Object} {@link JRPCClient~RPCError|`RPCError`} object.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function toErrorObject(err) {
+  if (err instanceof RPCError) {
+    return err.toJSON();
+  }
+
+  return {
+    code: -32603,
+    message: ((err && err.message) || 'Internal error')
+  };
+}
+
+/**
+ * Check the options of a single call.
+ *
+ * @param {Object} options - Call options.
+ *
+ * @returns {TypeError} Error describing the invalid option, `null` if none.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function checkCallOptions({ timeout, signal, meta }) {
+  if (!check.maybe.greaterOrEqual(timeout, 0)) {
+    return new TypeError('invalid "timeout" option');
+  }
+
+  if (check.assigned(signal) && !(check.function(signal.addEventListener) && check.function(signal.removeEventListener))) {
+    return new TypeError('invalid "signal" option');
+  }
+
+  if (!check.maybe.object(meta)) {
+    return new TypeError('invalid "meta" option');
+  }
+
+  return null;
+}
+
+/**
+ * Get the retry policy of a single call.
+ *
+ * @param {Boolean|Object} [retry] - The `retry` option of the call.
+ *
+ * @returns {Object} Normalized retry options, `null` if the call must not be retried.
+ *
+ * @throws {TypeError} Invalid option.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function resolveRetry(retry) {
+  let defaults = _data.get(this).retry;
+
+  if (retry === undefined) {
+    return (defaults || null);
+  }
+
+  if (retry === false) {
+    return null;
+  }
+
+  if (retry === true) {
+    return (defaults || normalizeRetry({}));
+  }
+
+  check.assert.object(retry, 'invalid "retry" option');
+
+  return normalizeRetry(Object.assign({}, defaults, retry));
+}
+
+/**
+ * Wait for the `maxInFlight` limit to allow another call.
+ *
+ * @param {String} method - RPC method to call.
+ * @param {Object} options - Call options.
+ *
+ * @promise {Promise} Resolves once the call can be made.
+ * @resolve {Function} Function to invoke once the call is settled, freeing the slot.
+ * @reject {QueueTimeoutError} The call waited too long.
+ * @reject {AbortError} Call aborted.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function acquireSlot(method, { priority, queueTimeout, signal }) {
+  let data = _data.get(this);
+  let { queue, maxInFlight } = data;
+
+  if (queueTimeout === undefined) {
+    queueTimeout = data.queueTimeout;
+  }
+
+  return new Promise((resolve, reject) => {
+    let released = false;
+
+    let release = () => {
+      if (released) {
+        return;
+      }
+
+      released = true;
+      queue.active--;
+
+      drainQueue.call(this);
+    };
+
+    let entry = { priority };
+
+    entry.grant = () => {
+      entry.cleanup();
+
+      queue.active++;
+
+      resolve(release);
+    };
+
+    entry.cleanup = () => {
+      clearTimeout(entry.timer);
+
+      if (signal) {
+        signal.removeEventListener('abort', entry.abort);
+      }
+    };
+
+    entry.fail = (err) => {
+      let index = queue.entries.indexOf(entry);
+
+      if (index !== -1) {
+        queue.entries.splice(index, 1);
+      }
+
+      entry.cleanup();
+
+      reject(err);
+    };
+
+    entry.abort = () => {
+      entry.fail(new AbortError({ method }));
+    };
+
+    if (queue.active < maxInFlight && !queue.entries.length) {
+      return entry.grant();
+    }
+
+    let index = queue.entries.findIndex(queued => queued.priority < priority);
+
+    queue.entries.splice((index === -1 ? queue.entries.length : index), 0, entry);
+
+    if (queueTimeout > 0) {
+      entry.timer = setTimeout(entry.fail, queueTimeout, new QueueTimeoutError({ method }));
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', entry.abort);
+    }
+  });
+}
+
+/**
+ * Let queued calls through, as long as the `maxInFlight` limit allows it.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function drainQueue() {
+  if (!_data.has(this)) {
+    return;
+  }
+
+  let { queue, maxInFlight } = _data.get(this);
+
+  while (queue.active < maxInFlight && queue.entries.length) {
+    queue.entries.shift().grant();
+  }
+}
+
+/**
+ * Make a call, retrying it according to its retry policy.
+ *
+ * When the server responds with one of the `auth.codes` error codes, the credentials are refreshed and the call is replayed once, without counting as a retry. If they were already refreshed after the request was sent, the call is replayed with the current credentials.
+ *
+ * Each attempt queues a new request. The requests of the later attempts are sent without going through the outgoing middleware.
+ *
+ * The final outcome is passed to `reject` or `callback`, as done by `queueCall`.
+ *
+ * @param {String} method - RPC method to call.
+ * @param {Object} options - Call options.
+ * @param {Object} options.policy - Normalized retry options, `null` to make a single attempt.
+ * @param {Boolean} options.idempotent - Whether the call is idempotent.
+ * @param {AbortSignal} [options.signal] - Signal aborting the wait between two attempts.
+ * @param {Function} attempt - Invoked with (reject, callback, number) to make an attempt.
+ * @param {Function} reject - Invoked with (err) if the call fails before a response can be received.
+ * @param {Function} callback - Invoked with (err, result, response) otherwise.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function withRetry(method, { policy, idempotent, signal }, attempt, reject, callback) {
+  let number = 0;
+  let failures = 0;
+  let replayed = false;
+
+  let replay = (generation) => {
+    replayed = true;
+
+    refreshAuth.call(this, generation).then(() => {
+      if (!_data.has(this)) {
+        return;
+      }
+
+      if (signal && signal.aborted) {
+        return callback(new AbortError({ method }));
+      }
+
+      run();
+    }, reject);
+  };
+
+  let retry = (err, response, generation, settle) => {
+    if (!err || !_data.has(this)) {
+      return settle();
+    }
+
+    let { auth } = _data.get(this);
+
+    if (auth && !replayed && !(err instanceof Error) && auth.codes.indexOf(err.code) !== -1) {
+      return replay(generation);
+    }
+
+    failures++;
+
+    if (!policy || failures >= policy.maxAttempts) {
+      return settle();
+    }
+
+    let error = (err instanceof Error ? err : RPCError.from(err, { method, response }));
+
+    if (!isRetryable(policy, error, { method, idempotent, attempt: failures })) {
+      return settle();
+    }
+
+    let { retryTimers } = _data.get(this);
+
+    let delay = backoff.delay(policy, failures);
+    let timer;
+
+    let abort = () => {
+      clearTimeout(timer);
+      retryTimers.delete(timer);
+
+      callback(new AbortError({ method }));
+    };
+
+    timer = setTimeout(() => {
+      retryTimers.delete(timer);
+
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+
+      run();
+    }, delay);
+
+    retryTimers.add(timer);
+
+    if (signal) {
+      signal.addEventListener('abort', abort);
+    }
+
+    emitGuarded.call(this, 'retry', failures, error, delay);
+  };
+
+  let run = () => {
+    number++;
+
+    attempt((err) => {
+      retry(err, null, undefined, () => reject(err));
+    }, (err, result, response, generation) => {
+      retry(err, response, generation, () => callback(err, result, response));
+    }, number);
+  };
+
+  run();
+}
+
+/**
+ * Refresh the credentials of the `auth` option. Concurrent callers share the same refresh.
+ *
+ * Each successful refresh starts a new generation of credentials. Nothing is refreshed for requests sent with an older generation, since newer credentials are already available.
+ *
+ * @param {Number} [generation] - Generation of the credentials the failed request was sent with.
+ *
+ * @promise {Promise} Resolves once the credentials have been refreshed.
+ * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} The refresh failed.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function refreshAuth(generation) {
+  let data = _data.get(this);
+
+  if (check.number(generation) && generation < data.authGeneration) {
+    return Promise.resolve();
+  }
+
+  if (!data.authRefresh) {
+    let done = () => {
+      if (_data.has(this)) {
+        data.authRefresh = null;
+      }
+    };
+
+    data.authRefresh = Promise.resolve().then(() => data.auth.refresh()).then(() => {
+      data.authGeneration++;
+
+      done();
+    }, (err) => {
+      done();
+
+      throw err;
+    });
+  }
+
+  return data.authRefresh;
+}
+
+/**
+ * Add the credentials of the `auth` option to an outgoing message. Waits for an ongoing refresh first.
+ *
+ * The requests are copied rather than modified, so that resent requests get fresh credentials. The generation of the credentials is recorded on the pending calls, so that a rejected request does not refresh them again.
+ *
+ * @param {Object|Object[]} message - A single message or a batch.
+ * @param {Object} context - Context to pass to the transport, `null` if none.
+ *
+ * @promise {Promise} Resolves with the message to send.
+ * @resolve {Object} The `message` and the `context` to pass to the transport, `null` if none.
+ * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} The credentials could not be obtained.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function authenticate(message, context) {
+  let data = _data.get(this);
+  let { auth, authRefresh, pending } = data;
+
+  let generation;
+
+  return Promise.resolve(authRefresh).catch(() => undefined).then(() => {
+    generation = data.authGeneration;
+
+    return (auth.credentials ? auth.credentials() : undefined);
+  }).then((credentials) => {
+    for (let request of (check.array(message) ? message : [ message ])) {
+      let call = (check.string(request.method) && pending.get(request.id));
+
+      if (call) {
+        call.authGeneration = generation;
+      }
+    }
+
+    if (!check.assigned(credentials)) {
+      return { message, context };
+    }
+
+    if (auth.inject === 'meta') {
+      return {
+        message,
+        context: Object.assign({}, context, { auth: credentials })
+      };
+    }
+
+    let inject = (request) => {
+      if (!check.string(request.method)) {
+        return request;
+      }
+
+      if (check.function(auth.inject)) {
+        return auth.inject(Object.assign({}, request), credentials);
+      }
+
+      let params = request.params;
+
+      if (check.array(params)) {
+        params = params.concat([ credentials ]);
+      } else {
+        params = Object.assign({}, params, { [auth.param]: credentials });
+      }
+
+      return Object.assign({}, request, { params });
+    };
+
+    return {
+      message: (check.array(message) ? message.map(inject) : inject(message)),
+      context
+    };
+  });
+}
+
+/**
+ * Check whether a failed call can be retried.
+ *
+ * @param {Object} policy - Normalized retry options.
+ * @param {Error} err - Error of the failed attempt.
+ * @param {Object} call - The call.
+ * @param {String} call.method - RPC method.
+ * @param {Boolean} call.idempotent - Whether the call is idempotent.
+ * @param {Number} call.attempt - Number of the failed attempt.
+ *
+ * @returns {Boolean} Whether to retry.
+ *
+ * @private
+ */
+function isRetryable({ codes, methods, retryOn }, err, { method, idempotent, attempt }) {
+  if (retryOn) {
+    return Boolean(retryOn(err, attempt));
+  }
+
+  if (err instanceof RPCError) {
+    return (codes.indexOf(err.code) !== -1);
+  }
+
+  if (!(err instanceof TransportError || err instanceof TimeoutError || err instanceof ConnectionLostError)) {
+    return false;
+  }
+
+  return (idempotent || methods.indexOf(method) !== -1);
+}
+
+/**
+ * Queue a remote call and keep track of it until it is settled.
+ *
+ * On timeout or abort, the call is forgotten so that a late response gets ignored.
+ *
+ * @param {String} method - RPC method to call.
+ * @param {*} params - RPC parameters.
+ * @param {Object} options - Call options.
+ * @param {Function} reject - Invoked with (err) if the call fails before a response can be received.
+ * @param {Function} callback - Invoked with (err, result, response, generation) otherwise. `generation` identifies the credentials of the `auth` option the request was sent with, `undefined` if none.
+ *
+ * @returns {Object} The pending call, `null` if it could not be queued.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function queueCall(method, params, { timeout, signal, idempotent, meta, traceparent, retried }, reject, callback) {
+  let data = _data.get(this);
+  let { remote, pending, requestMeta, requestTrace, retriedRequests } = data;
+
+  if (timeout === undefined) {
+    timeout = data.timeout;
+  }
+
+  let serial = remote.serial;
+  let settled = false;
+  let call = { method, idempotent, kept: false, queuedAt: Date.now(), sentAt: null };
+
+  let finish = () => {
+    if (settled) {
+      return false;
+    }
+
+    settled = true;
+
+    pending.delete(call.id);
+    call.cleanup();
+
+    return true;
+  };
+
+  let settle = (err, result) => {
+    if (finish()) {
+      callback(err, result, (call.response || null), call.authGeneration);
+    }
+  };
+
+  call.cancel = (err) => {
+    cancelCall.call(this, call);
+
+    settle(err);
+  };
+
+  call.fail = (err) => {
+    cancelCall.call(this, call);
+
+    if (finish()) {
+      reject(err);
+    }
+  };
+
+  call.cleanup = () => {
+    clearTimeout(call.timer);
+
+    if (signal) {
+      signal.removeEventListener('abort', call.abort);
+    }
+  };
+
+  call.abort = () => {
+    call.cancel(new AbortError({ method }));
+  };
+
+  remote.call(method, params, settle);
+
+  if (remote.serial === serial) {
+    return null;
+  }
+
+  call.id = remote.serial;
+  call.request = remote.outbox.requests[remote.outbox.requests.length - 1];
+
+  pending.set(call.id, call);
+
+  if (meta) {
+    requestMeta.set(call.request, meta);
+  }
+
+  if (traceparent) {
+    requestTrace.set(call.request, traceparent);
+  }
+
+  if (retried) {
+    retriedRequests.add(call.request);
+  }
+
+  if (timeout > 0) {
+    call.timer = setTimeout(() => {
+      track.call(this, 'timeout', {
+        method,
+        id: call.id,
+        duration: Date.now() - (call.sentAt || call.queuedAt)
+      });
+
+      call.cancel(new TimeoutError({ method }));
+    }, timeout);
+  }
+
+  if (signal) {
+    signal.addEventListener('abort', call.abort);
+  }
+
+  return call;
+}
+
+/**
+ * Forget about a pending call. Its request is not sent if it is still queued.
+ *
+ * @param {Object} call - The pending call.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function cancelCall(call) {
+  let { remote } = _data.get(this);
+
+  delete remote.inbox[call.id];
+  delete remote.outTimers[call.id];
+
+  let index = remote.outbox.requests.indexOf(call.request);
+
+  if (index !== -1) {
+    remote.outbox.requests.splice(index, 1);
+  }
+}
+
+/**
+ * Reject the pending calls after a disconnection.
+ *
+ * @param {Error} err - Error which caused the disconnection, `null` if none.
+ * @param {Boolean} keepIdempotent - Whether to keep idempotent calls pending so that they can be resent.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function failPendingCalls(err, keepIdempotent) {
+  let { pending } = _data.get(this);
+
+  for (let call of Array.from(pending.values())) {
+    if (keepIdempotent && call.idempotent) {
+      call.kept = true;
+      call.lostError = err;
+    } else {
+      call.fail(new ConnectionLostError(err, { method: call.method }));
+    }
+  }
+}
+
+/**
+ * Reject the calls kept for resending.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function failKeptCalls() {
+  let { pending } = _data.get(this);
+
+  for (let call of Array.from(pending.values())) {
+    if (call.kept) {
+      call.fail(new ConnectionLostError(call.lostError, { method: call.method }));
+    }
+  }
+}
+
+/**
+ * Resend the calls kept after a disconnection.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function resendKeptCalls() {
+  let { remote, pending } = _data.get(this);
+
+  let calls = Array.from(pending.values()).filter(call => call.kept);
+
+  if (!calls.length) {
+    return;
+  }
+
+  for (let call of calls) {
+    call.kept = false;
+
+    remote.outbox.requests.push(call.request);
+  }
+
+  transmit.call(this).catch((err) => {
+    for (let call of calls) {
+      call.fail(err);
+    }
+  });
+}
+
+/**
+ * Transmit the queued messages using the transport.
+ *
+ * Trace contexts, credentials of the `auth` option and outgoing middlewares are applied beforehand. The metadata of the messages is passed to the transport as a context. Messages are serialized to JSON unless the transport is in object mode. Batches exceeding the size limits are split into chunks.
+ *
+ * The requests of retry attempts skip the outgoing middlewares: they are sent apart from the other requests of a batch.
+ *
+ * The pending calls of the messages which could not be sent are failed with the error.
+ *
+ * @param {String} [method] - RPC method being sent, used for errors.
+ *
+ * @promise {Promise} Resolves once the messages have been sent.
+ * @reject {TransportError} Transport error.
+ * @reject {BatchError} Some chunks of a split batch could not be sent.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function transmit(method) {
+  let { transport, remote, batchLimits, rateLimiter, auth, retriedRequests, middleware: { outgoing } } = _data.get(this);
+
+  let objectMode = (transport.objectMode === true);
+
+  let write = (message, context) => {
+    let data = (objectMode ? message : JSON.stringify(message));
+
+    trackSent.call(this, message, data);
+
+    return (context ? transport.send(data, context) : transport.send(data)).then(() => undefined, (err) => {
+      throw new TransportError(err, { method });
+    });
+  };
+
+  let dispatch = ({ message, context }, direct) => {
+    if (!outgoing.length || direct) {
+      return write(message, context);
+    }
+
+    return middleware.run(outgoing, copyMessage(message, objectMode), message => write(message, context)).then((response) => {
+      if (response !== undefined && _data.has(this)) {
+        onTransportData.call(this, response);
+      }
+    });
+  };
+
+  let forward = (message, direct) => {
+    let context = collectMeta.call(this, message);
+
+    ({ message, context } = injectTrace.call(this, message, context));
+
+    if (!auth) {
+      return dispatch({ message, context }, direct);
+    }
+
+    return authenticate.call(this, message, context).then(prepared => dispatch(prepared, direct));
+  };
+
+  let send = (message) => {
+    if (!_data.has(this)) {
+      return dispatch({ message });
+    }
+
+    if (!outgoing.length || !check.array(message)) {
+      return forward(message, retriedRequests.has(message));
+    }
+
+    let retried = message.filter(request => retriedRequests.has(request));
+
+    if (!retried.length || retried.length === message.length) {
+      return forward(message, (retried.length > 0));
+    }
+
+    return Promise.all([
+      forward(message.filter(request => !retriedRequests.has(request)), false),
+      forward(retried, true)
+    ]).then(() => undefined);
+  };
+
+  let message = takeOutbox(remote);
+  let delay = 0;
+  let limited = null;
+
+  if (message !== null && rateLimiter) {
+    ({ message, delay, limited } = limitRate.call(this, message));
+  }
+
+  return new Promise((resolve, reject) => {
+    let done = () => {
+      if (limited) {
+        return reject(limited);
+      }
+
+      resolve();
+    };
+
+    if (message === null) {
+      return done();
+    }
+
+    let run = () => {
+      if (delay > 0) {
+        message = dropSettled.call(this, message);
+
+        if (message === null) {
+          return done();
+        }
+      }
+
+      let chunks = (check.array(message) ? splitBatch(message, batchLimits) : [ message ]);
+
+      if (chunks.length === 1) {
+        return send(chunks[0]).then(done).catch((err) => {
+          failRequests.call(this, [].concat(chunks[0]), err);
+
+          reject(err);
+        });
+      }
+
+      sendChunks(chunks, send, batchLimits.batchConcurrency).then((errors) => {
+        let failed = [];
+
+        chunks.forEach((requests, index) => {
+          if (errors[index]) {
+            failed.push({
+              index,
+              requests,
+              error: errors[index]
+            });
+          }
+        });
+
+        if (!failed.length) {
+          return done();
+        }
+
+        let err = new BatchError(failed, chunks.length, { method });
+
+        for (let { requests } of failed) {
+          failRequests.call(this, requests, err);
+        }
+
+        reject(err);
+      });
+    };
+
+    if (delay > 0) {
+      return setTimeout(run, delay);
+    }
+
+    setImmediate(run);
+  });
+}
+
+/**
+ * Merge the metadata of the requests of an outgoing message.
+ *
+ * The metadata of the batches is merged first, so that the metadata of each request takes precedence.
+ *
+ * @param {Object|Object[]} message - A single message or a batch.
+ *
+ * @returns {Object} The merged metadata, `null` if none.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function collectMeta(message) {
+  let { requestMeta, requestBatchMeta } = _data.get(this);
+
+  let requests = (check.array(message) ? message : [ message ]);
+  let metas = requests.map(request => requestBatchMeta.get(request)).concat(requests.map(request => requestMeta.get(request))).filter(Boolean);
+
+  if (!metas.length) {
+    return null;
+  }
+
+  return Object.assign({}, ...metas);
+}
+
+/**
+ * Add the `traceparent` of the traced requests of an outgoing message. The requests are copied rather than modified.
+ *
+ * With `inject: 'params'`, requests with positional parameters get their `traceparent` in the context, as with `inject: 'meta'`.
+ *
+ * @param {Object|Object[]} message - A single message or a batch.
+ * @param {Object} context - Context to pass to the transport, `null` if none.
+ *
+ * @returns {Object} The `message` and the `context` to pass to the transport.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function injectTrace(message, context) {
+  let { tracing, requestTrace } = _data.get(this);
+
+  if (!tracing) {
+    return { message, context };
+  }
+
+  let { inject, field } = tracing;
+
+  let traced = (request) => {
+    let traceparent = requestTrace.get(request);
+
+    if (!traceparent) {
+      return request;
+    }
+
+    if (inject === 'meta' || (inject === 'params' && !check.object(request.params))) {
+      if (!context || !context.hasOwnProperty(field)) {
+        context = Object.assign({}, context, { [field]: traceparent });
+      }
+
+      return request;
+    }
+
+    if (inject === 'member') {
+      return Object.assign({}, request, { [field]: traceparent });
+    }
+
+    return Object.assign({}, request, {
+      params: Object.assign({}, request.params, { [field]: traceparent })
+    });
+  };
+
+  message = (check.array(message) ? message.map(traced) : traced(message));
+
+  return { message, context };
+}
+
+/**
+ * Open a span for a call or a batch, if tracing is enabled.
+ *
+ * Errors thrown by the tracer are emitted as {@link JRPCClient#event:error|`error`} events, and the call is then not traced.
+ *
+ * @param {String} name - Span name.
+ * @param {Object} attributes - Span attributes.
+ *
+ * @returns {Object} The `span` and its `traceparent`, `null` if tracing is disabled.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function openSpan(name, attributes) {
+  let { tracing } = _data.get(this);
+
+  if (!tracing) {
+    return null;
+  }
+
+  try {
+    return spans.startSpan(tracing.tracer, name, attributes);
+  } catch (err) {
+    emitGuarded.call(this, 'error', err);
+
+    return null;
+  }
+}
+
+/**
+ * Close the span of a call or a batch, if any.
+ *
+ * Errors thrown by the span are emitted as {@link JRPCClient#event:error|`error`} events, so that the call still settles.
+ *
+ * @param {Object} trace - Span opened by `openSpan`, `null` if none.
+ * @param {*} [err] - RPC error object or error instance, `null` if none.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function closeSpan(trace, err) {
+  if (!trace) {
+    return;
+  }
+
+  try {
+    spans.endSpan(trace.span, err);
+  } catch (spanError) {
+    emitGuarded.call(this, 'error', spanError);
+  }
+}
+
+/**
+ * Record a lifecycle event and emit it.
+ *
+ * Errors thrown by the metrics adapter or by the listeners are emitted afterwards as {@link JRPCClient#event:error|`error`} events, so that they cannot prevent the request from being sent or the response from being handled.
+ *
+ * @param {String} event - Event name.
+ * @param {Object} info - Event information.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function track(event, info) {
+  if (!_data.has(this)) {
+    return;
+  }
+
+  let { metrics } = _data.get(this);
+
+  try {
+    metrics.record(event, info);
+  } catch (err) {
+    reportError.call(this, err);
+  }
+
+  emitGuarded.call(this, event, info);
+}
+
+/**
+ * Emit an event, invoking each listener on its own. Errors thrown by the listeners are emitted afterwards as {@link JRPCClient#event:error|`error`} events.
+ *
+ * Without `rawListeners` (Node.js < 9.4), the event is emitted as a whole so that `once` listeners are still removed: a throwing listener then prevents the next ones from being invoked.
+ *
+ * @param {String} event - Event name.
+ * @param {...*} args - Event arguments.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function emitGuarded(event, ...args) {
+  if (!check.function(this.rawListeners)) {
+    try {
+      this.emit(event, ...args);
+    } catch (err) {
+      reportError.call(this, err);
+    }
+
+    return;
+  }
+
+  for (let listener of this.rawListeners(event)) {
+    try {
+      listener.apply(this, args);
+    } catch (err) {
+      reportError.call(this, err);
+    }
+  }
+}
+
+/**
+ * Track the requests of a message handed to the transport.
+ *
+ * @param {Object|Object[]} message - A single message or a batch.
+ * @param {String|Object} data - Serialized message, or the message itself in object mode.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function trackSent(message, data) {
+  if (!_data.has(this)) {
+    return;
+  }
+
+  let { pending, transport } = _data.get(this);
+
+  let objectMode = (transport.objectMode === true);
+  let batch = check.array(message);
+  let now = Date.now();
+
+  for (let request of (batch ? message : [ message ])) {
+    if (!check.object(request) || !check.string(request.method)) {
+      continue;
+    }
+
+    let id = (request.hasOwnProperty('id') ? request.id : null);
+    let call = pending.get(id);
+
+    if (call) {
+      call.sentAt = now;
+    }
+
+    track.call(this, 'request', {
+      method: request.method,
+      id,
+      size: (batch ? byteLength(request, objectMode) : byteLength(data, objectMode))
+    });
+  }
+
+  if (batch) {
+    track.call(this, 'batch', {
+      count: message.length,
+      size: byteLength(data, objectMode)
+    });
+  }
+}
+
+/**
+ * Compute the size of a serialized message.
+ *
+ * Messages of object mode transports are never serialized, since they can hold values which JSON cannot represent.
+ *
+ * @param {String|Object} data - Serialized message, or a message to serialize.
+ * @param {Boolean} objectMode - Whether the transport handles messages as objects.
+ *
+ * @returns {Number} Size in bytes, `null` in object mode.
+ *
+ * @private
+ */
+function byteLength(data, objectMode) {
+  if (objectMode) {
+    return null;
+  }
+
+  return Buffer.byteLength(check.string(data) ? data : JSON.stringify(data));
+}
+
+/**
+ * Copy a message for the outgoing middleware.
+ *
+ * In object mode, the copy is made with the structured clone algorithm when available, preserving dates and other values which JSON cannot represent.
+ *
+ * @param {Object|Object[]} message - The message.
+ * @param {Boolean} objectMode - Whether the transport receives messages as objects.
+ *
+ * @returns {Object|Object[]} The copy.
+ *
+ * @private
+ */
+function copyMessage(message, objectMode) {
+  if (objectMode && check.function(v8.serialize)) {
+    return v8.deserialize(v8.serialize(message));
+  }
+
+  return JSON.parse(JSON.stringify(message));
+}
+
+/**
+ * Fail the pending calls of requests which could not be sent. Transport errors are reported with the method of each call.
+ *
+ * @param {Object[]} requests - Requests which could not be sent.
+ * @param {Error} err - The error.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function failRequests(requests, err) {
+  if (!_data.has(this)) {
+    return;
+  }
+
+  let { pending } = _data.get(this);
+
+  for (let request of requests) {
+    let call = (check.object(request) && request.hasOwnProperty('id') && pending.get(request.id));
+
+    if (!call || call.request !== request) {
+      continue;
+    }
+
+    if (err instanceof TransportError && !(err instanceof BatchError)) {
+      call.fail(new TransportError(err.cause, { method: call.method }));
+    } else {
+      call.fail(err);
+    }
+  }
+}
+
+/**
+ * Apply the rate limits to an outgoing message.
  *
- * @event JRPCClient#error
- * @param {Error} error - Encountered error.
+ * Calls rejected by the rate limiter are settled with a {@link RateLimitedError|`RateLimitedError`}, like timed out calls, and removed from the message.
+ *
+ * @param {Object|Object[]} message - A single message or a batch.
+ *
+ * @returns {Object} The remaining `message` (`null` if none), the `delay` to wait before sending it, in milliseconds, and the error to report for `limited` notifications, `null` if none.
+ *
+ * @memberof JRPCClient
+ * @private
  */
+function limitRate(message) {
+  let { rateLimiter, pending } = _data.get(this);
 
-module.exports = JRPCClient;
+  let batch = check.array(message);
+  let messages = (batch ? message : [ message ]);
+  let { delay, rejected } = rateLimiter.take(messages);
+  let limited = null;
+
+  for (let { message: request, retryAfter } of rejected) {
+    let err = new RateLimitedError({ method: request.method, retryAfter });
+    let call = (request.hasOwnProperty('id') && pending.get(request.id));
+
+    messages = messages.filter(queued => queued !== request);
+
+    if (call && call.request === request) {
+      call.cancel(err);
+    } else if (!limited) {
+      limited = err;
+    }
+  }
+
+  if (!messages.length) {
+    message = null;
+  } else if (rejected.length) {
+    message = (batch ? messages : messages[0]);
+  }
+
+  return {
+    message,
+    delay,
+    limited
+  };
+}
 
 /**
- * Check if the transport is valid.
+ * Remove the requests of calls settled in the meantime, such as timed out calls, from a delayed message.
  *
- * @param {Object} transport - The transport.
+ * @param {Object|Object[]} message - A single message or a batch.
+ *
+ * @returns {Object|Object[]} The remaining message, `null` if none.
  *
  * @memberof JRPCClient
  * @private
  */
-function checkTransport(transport) {
-  check.assert.object(transport, 'missing/invalid "transport" option');
-  check.assert.instanceStrict(transport, EventEmitter, 'missing/invalid "transport" option');
+function dropSettled(message) {
+  if (!_data.has(this)) {
+    return null;
+  }
 
-  check.assert.boolean(transport.needsConnection, 'missing/invalid "transport.needsConnection" property');
-  check.assert.function(transport.send, 'missing/invalid "transport.send" method');
+  let { pending } = _data.get(this);
 
-  if (transport.needsConnection) {
-    check.assert.boolean(transport.isConnected, 'missing/invalid "transport.isConnected" property');
+  let batch = check.array(message);
 
-    check.assert.function(transport.connect, 'missing/invalid "transport.connect" method');
-    check.assert.function(transport.disconnect, 'missing/invalid "transport.disconnect" method');
+  let messages = (batch ? message : [ message ]).filter((request) => {
+    if (!check.string(request.method) || !request.hasOwnProperty('id')) {
+      return true;
+    }
+
+    let call = pending.get(request.id);
+
+    return (call !== undefined && call.request === request);
+  });
+
+  if (!messages.length) {
+    return null;
+  }
+
+  return (batch ? messages : messages[0]);
+}
+
+/**
+ * Split a batch into chunks respecting the size limits. Messages exceeding `maxBatchBytes` by themselves are sent alone.
+ *
+ * @param {Object[]} messages - Messages of the batch.
+ * @param {Object} limits - Batch limits.
+ * @param {Number} limits.maxBatchSize - Maximum number of messages in a chunk.
+ * @param {Number} limits.maxBatchBytes - Maximum size of a serialized chunk, in bytes.
+ *
+ * @returns {Object[][]} The chunks.
+ *
+ * @private
+ */
+function splitBatch(messages, { maxBatchSize, maxBatchBytes }) {
+  if (maxBatchSize === Infinity && maxBatchBytes === Infinity) {
+    return [ messages ];
+  }
+
+  let chunks = [];
+  let chunk = [];
+  let bytes = 2;
+
+  for (let message of messages) {
+    let size = (maxBatchBytes === Infinity ? 0 : Buffer.byteLength(JSON.stringify(message)));
+    let added = (chunk.length ? size + 1 : size);
+
+    if (chunk.length && (chunk.length >= maxBatchSize || bytes + added > maxBatchBytes)) {
+      chunks.push(chunk);
+
+      chunk = [];
+      bytes = 2;
+      added = size;
+    }
+
+    chunk.push(message);
+
+    bytes += added;
+  }
+
+  chunks.push(chunk);
+
+  return chunks;
+}
+
+/**
+ * Send the chunks of a batch, in order, with limited parallelism.
+ *
+ * @param {Object[][]} chunks - The chunks.
+ * @param {Function} send - Invoked with each chunk, returning a promise.
+ * @param {Number} concurrency - Maximum number of chunks being sent at once.
+ *
+ * @promise {Promise} Resolves once every chunk has been sent or has failed.
+ * @resolve {Error[]} Error of each chunk, `null` if it was sent.
+ *
+ * @private
+ */
+function sendChunks(chunks, send, concurrency) {
+  let errors = chunks.map(() => null);
+  let next = 0;
+
+  let worker = () => {
+    if (next >= chunks.length) {
+      return Promise.resolve();
+    }
+
+    let index = next++;
+
+    return send(chunks[index]).catch((err) => {
+      errors[index] = err;
+    }).then(worker);
+  };
+
+  let workers = [];
+
+  for (let i = 0; i < Math.min(concurrency, chunks.length); i++) {
+    workers.push(worker());
+  }
+
+  return Promise.all(workers).then(() => errors);
+}
+
+/**
+ * Take the next message out of the outbox. Responses to server requests are sent first.
+ *
+ * @param {JRPC} remote - Protocol implementation.
+ *
+ * @returns {Object|Object[]} A single message, a batch, or `null` if there is nothing to send.
+ *
+ * @private
+ */
+function takeOutbox(remote) {
+  if (!remote.active) {
+    return null;
+  }
+
+  let { outbox } = remote;
+
+  for (let type of [ 'responses', 'requests' ]) {
+    let messages = outbox[type];
+
+    if (messages.length > 1) {
+      outbox[type] = [];
+
+      return messages;
+    }
+
+    if (messages.length === 1) {
+      return messages.pop();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Transmit the queued messages once the automatic batching window closes.
+ *
+ * @param {String} method - RPC method being sent, used for errors.
+ *
+ * @promise {Promise} Resolves once the batch has been sent.
+ * @reject {TransportError} Transport error.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function queueTransmit(method) {
+  let { autoBatch: { maxWaitMs, maxSize }, autoBatchQueue } = _data.get(this);
+
+  return new Promise((resolve, reject) => {
+    autoBatchQueue.waiting.push({ method, resolve, reject });
+
+    if (autoBatchQueue.waiting.length >= maxSize) {
+      return flushAutoBatch.call(this);
+    }
+
+    if (autoBatchQueue.timer === null) {
+      autoBatchQueue.timer = setTimeout(flushAutoBatch.bind(this), maxWaitMs);
+    }
+  });
+}
+
+/**
+ * Close the automatic batching window and transmit the queued messages.
+ *
+ * When a split batch partially fails, the calls of the failed chunks have already been rejected with the {@link BatchError|`BatchError`}. Transport errors are reported with the method of each call, other errors (from a middleware or a credentials provider, for instance) are passed through.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function flushAutoBatch() {
+  if (!_data.has(this)) {
+    return;
+  }
+
+  let { autoBatchQueue } = _data.get(this);
+
+  clearTimeout(autoBatchQueue.timer);
+
+  let waiting = autoBatchQueue.waiting;
+
+  autoBatchQueue.timer = null;
+  autoBatchQueue.waiting = [];
+
+  transmit.call(this).then(() => {
+    for (let { resolve } of waiting) {
+      resolve();
+    }
+  }, (err) => {
+    for (let { method, resolve, reject } of waiting) {
+      if (err instanceof BatchError) {
+        resolve();
+      } else {
+        reject(err instanceof TransportError ? new TransportError(err.cause, { method }) : err);
+      }
+    }
+  });
+}
+
+/**
+ * Send the responses to the server requests, if any.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function flushResponses() {
+  if (!_data.has(this)) {
+    return;
+  }
+
+  let { remote } = _data.get(this);
+
+  if (remote.outbox.responses.length) {
+    transmit.call(this).catch((err) => {
+      if (_data.has(this)) {
+        this.emit('error', err);
+      }
+    });
   }
 }
 
@@ -470,7 +2918,7 @@ function cleanResponse(response) {
  * @private
  */
 function onTransportData(data) {
-  let { remote } = _data.get(this);
+  let { middleware: { incoming } } = _data.get(this);
 
   if (data) {
     if (check.array(data)) {
@@ -482,7 +2930,176 @@ function onTransportData(data) {
     }
   }
 
-  remote.receive(data);
+  if (!incoming.length) {
+    return receive.call(this, data);
+  }
+
+  middleware.run(incoming, data, (message) => {
+    if (_data.has(this)) {
+      receive.call(this, message);
+    }
+  }).catch((err) => {
+    if (_data.has(this)) {
+      this.emit('error', err);
+    }
+  });
+}
+
+/**
+ * Hand received data over to the protocol implementation.
+ *
+ * Notifications are dispatched to their listeners. Responses are attached to their pending call. Responses to server requests which cannot be handled are sent afterwards.
+ *
+ * @param {*} data - Received data.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function receive(data) {
+  let { remote, pending, rateLimiter, notificationHandlers, transport } = _data.get(this);
+
+  let objectMode = (transport.objectMode === true);
+
+  let now = Date.now();
+
+  if (!check.array(data) && !check.object(data)) {
+    return remote.receive(data);
+  }
+
+  let requests = [];
+  let responses = [];
+  let answered = false;
+
+  for (let message of (check.array(data) ? data : [ data ])) {
+    if (!check.object(message)) {
+      continue;
+    }
+
+    if (!check.string(message.method)) {
+      if (pending.has(message.id)) {
+        let call = pending.get(message.id);
+
+        call.response = message;
+
+        if (rateLimiter && message.error) {
+          rateLimiter.throttle(call.method, message.error);
+        }
+
+        track.call(this, 'response', {
+          method: call.method,
+          id: call.id,
+          duration: now - (call.sentAt || call.queuedAt),
+          size: byteLength(message, objectMode),
+          outcome: (message.error ? 'error' : 'success'),
+          code: (message.error ? message.error.code : null)
+        });
+      }
+
+      responses.push(message);
+    } else if (message.hasOwnProperty('id')) {
+      if (notificationHandlers.has(message.method) && !remote.exposed.hasOwnProperty(message.method)) {
+        invokeListener.call(this, notificationHandlers.get(message.method), [ message.params ]);
+
+        remote.outbox.responses.push({
+          jsonrpc: '2.0',
+          id: message.id,
+          error: {
+            code: -1,
+            message: 'error'
+          }
+        });
+
+        answered = true;
+      } else {
+        requests.push(message);
+      }
+    } else {
+      dispatchNotification.call(this, message);
+
+      if (remote.exposed.hasOwnProperty(message.method)) {
+        requests.push(message);
+      }
+    }
+  }
+
+  if (responses.length) {
+    remote.receive(responses);
+  }
+
+  if (requests.length) {
+    remote.receive(requests);
+  }
+
+  if (requests.length || answered) {
+    setImmediate(flushResponses.bind(this));
+  }
+}
+
+/**
+ * Invoke the handler and listeners of a notification.
+ *
+ * @param {Object} notification - The notification.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function dispatchNotification({ method, params }) {
+  let { remote, notificationHandlers, notificationListeners, cache } = _data.get(this);
+
+  let invalidating = (cache !== null && cache.notified(method));
+
+  let handler = notificationHandlers.get(method);
+  let listeners = (notificationListeners.get(method) || []).slice();
+  let wildcards = (notificationListeners.get('*') || []).slice();
+
+  if (handler) {
+    invokeListener.call(this, handler, [ params ]);
+  }
+
+  for (let listener of listeners) {
+    invokeListener.call(this, listener, [ params ]);
+  }
+
+  for (let listener of wildcards) {
+    invokeListener.call(this, listener, [ method, params ]);
+  }
+
+  if (!handler && !listeners.length && !invalidating && !remote.exposed.hasOwnProperty(method)) {
+    this.emit('unhandledNotification', method, params);
+  }
+}
+
+/**
+ * Invoke a notification handler or listener. An error thrown by the listener is emitted afterwards as an {@link JRPCClient#event:error|`error`} event, so that the received messages are still processed.
+ *
+ * @param {Function} listener - The listener.
+ * @param {Array} args - Its arguments.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function invokeListener(listener, args) {
+  try {
+    listener.apply(null, args);
+  } catch (err) {
+    reportError.call(this, err);
+  }
+}
+
+/**
+ * Emit an error thrown by a user callback as an {@link JRPCClient#event:error|`error`} event, once the current processing is over.
+ *
+ * @param {Error} err - The error.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function reportError(err) {
+  setImmediate(() => {
+    if (_data.has(this)) {
+      this.emit('error', err);
+    }
+  });
 }
 
 /**
@@ -492,6 +3109,16 @@ function onTransportData(data) {
  * @private
  */
 function onTransportConnected() {
+  let { reconnection } = _data.get(this);
+
+  clearTimeout(reconnection.timer);
+
+  reconnection.timer = null;
+  reconnection.attempts = 0;
+  reconnection.stopped = false;
+
+  resendKeptCalls.call(this);
+
   this.emit('connected');
 }
 
@@ -502,9 +3129,62 @@ function onTransportConnected() {
  * @private
  */
 function onTransportDisconnected(err) {
+  let { transport, reconnect, reconnection, resendIdempotent } = _data.get(this);
+
+  if (transport.needsConnection && reconnect && !reconnection.stopped) {
+    scheduleReconnect.call(this, err);
+  }
+
+  failPendingCalls.call(this, err, (resendIdempotent && !reconnection.stopped));
+
   this.emit('disconnected', err);
 }
 
+/**
+ * Schedule an automatic reconnection attempt.
+ *
+ * @param {Error} err - Error which caused the previous disconnection or attempt failure.
+ *
+ * @memberof JRPCClient
+ * @private
+ */
+function scheduleReconnect(err) {
+  let { reconnect, reconnection } = _data.get(this);
+
+  if (reconnection.timer || reconnection.connecting) {
+    return;
+  }
+
+  if (reconnection.attempts >= reconnect.maxAttempts) {
+    reconnection.attempts = 0;
+
+    failKeptCalls.call(this);
+
+    return this.emit('reconnect_failed', err);
+  }
+
+  let attempt = ++reconnection.attempts;
+  let delay = backoff.delay(reconnect, attempt);
+
+  reconnection.timer = setTimeout(() => {
+    reconnection.timer = null;
+    reconnection.connecting = true;
+
+    this.connect().then(() => {
+      reconnection.connecting = false;
+      reconnection.attempts = 0;
+    }).catch((err) => {
+      reconnection.connecting = false;
+
+      if (_data.has(this) && !reconnection.stopped) {
+        scheduleReconnect.call(this, err);
+      }
+    });
+  }, delay);
+
+  this.emit('reconnecting', attempt, delay);
+}
+
 /**
  * Handle the transport `error` event.
  *
@@ -0,0 +1,79 @@
+'use strict';
+
+const check = require('check-types');
+
+/**
+ * Exponential backoff options.
+ *
+ * @typedef {Object} Backoff~Options
+ * @property {Number} [minDelay=1000] - Delay before the first attempt, in milliseconds.
+ * @property {Number} [maxDelay=30000] - Maximum delay between two attempts, in milliseconds.
+ * @property {Number} [factor=2] - Multiplier applied to the delay after each attempt.
+ * @property {Number} [jitter=0.5] - Randomization factor between `0` and `1`.
+ * @property {Number} [maxAttempts=Infinity] - Maximum number of attempts.
+ *
+ * @private
+ */
+
+/**
+ * Validate backoff options and fill in the defaults.
+ *
+ * @param {Object} options - Backoff options.
+ * @param {String} name - Name of the option, used in error messages.
+ *
+ * @returns {Object} Normalized options.
+ *
+ * @throws {TypeError} Invalid option.
+ *
+ * @private
+ */
+function normalize(options, name) {
+  check.assert.object(options, `invalid "${name}" option`);
+
+  let {
+    minDelay = 1000,
+    maxDelay = 30000,
+    factor = 2,
+    jitter = 0.5,
+    maxAttempts = Infinity
+  } = options;
+
+  check.assert.greaterOrEqual(minDelay, 0, `invalid "${name}.minDelay" option`);
+  check.assert.greaterOrEqual(maxDelay, minDelay, `invalid "${name}.maxDelay" option`);
+  check.assert.greaterOrEqual(factor, 1, `invalid "${name}.factor" option`);
+  check.assert.inRange(jitter, 0, 1, `invalid "${name}.jitter" option`);
+  check.assert(maxAttempts === Infinity || check.greaterOrEqual(maxAttempts, 1), `invalid "${name}.maxAttempts" option`, TypeError);
+
+  return Object.assign({}, options, {
+    minDelay,
+    maxDelay,
+    factor,
+    jitter,
+    maxAttempts
+  });
+}
+
+/**
+ * Compute the delay before an attempt.
+ *
+ * @param {Object} options - Normalized backoff options.
+ * @param {Number} attempt - Attempt number, starting at `1`.
+ *
+ * @returns {Number} Delay in milliseconds.
+ *
+ * @private
+ */
+function delay({ minDelay, maxDelay, factor, jitter }, attempt) {
+  let base = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+
+  if (jitter > 0) {
+    base *= 1 - jitter + (Math.random() * jitter * 2);
+  }
+
+  return Math.round(Math.min(maxDelay, base));
+}
+
+module.exports = {
+  normalize,
+  delay
+};
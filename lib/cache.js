@@ -0,0 +1,299 @@
+'use strict';
+
+const check = require('check-types');
+const v8 = require('v8');
+
+const toRegExp = require('./method-pattern');
+
+/**
+ * Cache store interface. Any of its methods may return a promise.
+ *
+ * @typedef {Object} ResponseCache~Store
+ * @property {Function} get - Invoked with (key). Returns the stored value, `undefined` if none or expired.
+ * @property {Function} set - Invoked with (key, value, ttl). Stores a value for `ttl` milliseconds.
+ * @property {Function} delete - Invoked with (key). Removes a value.
+ * @property {Function} keys - Returns the stored keys.
+ */
+
+/**
+ * In-memory store evicting the least recently used entries.
+ *
+ * @private
+ */
+class MemoryStore {
+
+  /**
+   * Initialize a new store.
+   *
+   * @param {Number} maxEntries - Maximum number of entries.
+   */
+  constructor(maxEntries) {
+    this._maxEntries = maxEntries;
+    this._entries = new Map();
+  }
+
+  /**
+   * Get a value, marking it as recently used.
+   *
+   * @param {String} key - Key of the value.
+   *
+   * @returns {*} The value, `undefined` if none or expired.
+   */
+  get(key) {
+    let entry = this._entries.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+
+    this._entries.delete(key);
+
+    if (entry.expires <= Date.now()) {
+      return undefined;
+    }
+
+    this._entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used ones beyond `maxEntries`.
+   *
+   * @param {String} key - Key of the value.
+   * @param {*} value - Value to store.
+   * @param {Number} ttl - Time to live, in milliseconds.
+   */
+  set(key, value, ttl) {
+    this._entries.delete(key);
+
+    this._entries.set(key, {
+      value,
+      expires: Date.now() + ttl
+    });
+
+    while (this._entries.size > this._maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a value.
+   *
+   * @param {String} key - Key of the value.
+   */
+  delete(key) {
+    this._entries.delete(key);
+  }
+
+  /**
+   * List the stored keys.
+   *
+   * @returns {String[]} The keys.
+   */
+  keys() {
+    return Array.from(this._entries.keys());
+  }
+}
+
+/**
+ * Response cache of a client, available as {@link JRPCClient#cache|`client.cache`}.
+ *
+ * Successful results of the allow-listed methods are cached, keyed by method and parameters. Identical concurrent calls share a single request, made with the options of the first call. Results are copied, so that callers can modify them without altering the cache.
+ *
+ * @class ResponseCache
+ */
+class ResponseCache {
+
+  /**
+   * Initialize a new cache.
+   *
+   * @param {Object} options - Cache options. See the `cache` option of {@link JRPCClient|`JRPCClient`}.
+   *
+   * @throws {TypeError} Invalid option.
+   *
+   * @private
+   */
+  constructor({ methods = [], ttl = 60000, maxEntries = 1000, store, invalidateOn = {} } = {}) {
+    check.assert.array.of.nonEmptyString(methods, 'invalid "cache.methods" option');
+    check.assert.greater(ttl, 0, 'invalid "cache.ttl" option');
+    check.assert(check.integer(maxEntries) && maxEntries >= 1, 'invalid "cache.maxEntries" option', TypeError);
+    check.assert(!check.assigned(store) || ([ 'get', 'set', 'delete', 'keys' ].every(name => check.function(store[name]))), 'invalid "cache.store" option', TypeError);
+    check.assert.object(invalidateOn, 'invalid "cache.invalidateOn" option');
+
+    for (let name of Object.keys(invalidateOn)) {
+      check.assert(check.nonEmptyString(invalidateOn[name]) || check.array.of.nonEmptyString(invalidateOn[name]), `invalid "cache.invalidateOn.${name}" option`, TypeError);
+    }
+
+    this._methods = methods.map(toRegExp);
+    this._ttl = ttl;
+    this._store = (store || new MemoryStore(maxEntries));
+    this._invalidateOn = invalidateOn;
+    this._inflight = new Map();
+    this._generation = 0;
+  }
+
+  /**
+   * Remove the cached results of the methods matching a pattern.
+   *
+   * @param {String} [pattern='*'] - Method pattern, such as `user.*`. Patterns can use `*` as a wildcard.
+   *
+   * @promise {Promise} Resolves once the results have been removed.
+   * @reject {TypeError https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypeError} Invalid parameter.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Store error.
+   *
+   * @example
+   * await client.cache.invalidate('user.*');
+   */
+  invalidate(pattern = '*') {
+    if (!check.nonEmptyString(pattern)) {
+      return Promise.reject(new TypeError('invalid "pattern" parameter'));
+    }
+
+    let regexp = toRegExp(pattern);
+
+    this._generation++;
+
+    return Promise.resolve().then(() => this._store.keys()).then((keys) => {
+      let removed = keys.filter(key => regexp.test(JSON.parse(key)[0]));
+
+      return Promise.all(removed.map(key => this._store.delete(key)));
+    }).then(() => undefined);
+  }
+
+  /**
+   * Whether the results of a method are cached.
+   *
+   * @param {String} method - RPC method.
+   *
+   * @returns {Boolean} Whether the method is allow-listed.
+   *
+   * @private
+   */
+  cacheable(method) {
+    return this._methods.some(regexp => regexp.test(method));
+  }
+
+  /**
+   * Make a call through the cache. Cached results are returned without calling `execute`, and identical concurrent calls share the `execute` of the first call, along with its options. Each caller gets its own copy of the result.
+   *
+   * @param {String} method - RPC method.
+   * @param {*} params - RPC parameters.
+   * @param {Function} execute - Invoked with (reject, callback) to make the call.
+   * @param {Function} reject - Invoked with (err) if the call fails before a response can be received.
+   * @param {Function} callback - Invoked with (err, result, response) otherwise.
+   *
+   * @private
+   */
+  fetch(method, params, execute, reject, callback) {
+    let cacheable = this.cacheable(method);
+    let key = JSON.stringify([ method, canonicalize(params) ]);
+
+    let lookup = (cacheable ? Promise.resolve().then(() => this._store.get(key)).catch(() => undefined) : Promise.resolve());
+
+    lookup.then((cached) => {
+      if (cached !== undefined) {
+        return callback(null, clone(cached.result), null);
+      }
+
+      let shared = this._inflight.get(key);
+
+      if (!shared) {
+        let generation = this._generation;
+
+        shared = new Promise((resolve) => {
+          execute(failed => resolve({ failed }), (err, result, response) => resolve({ err, result, response }));
+        });
+
+        this._inflight.set(key, shared);
+
+        shared.then(({ failed, err, result }) => {
+          this._inflight.delete(key);
+
+          if (cacheable && !failed && !err && generation === this._generation) {
+            return this._store.set(key, { result: clone(result) }, this._ttl);
+          }
+        }).catch(() => undefined);
+      }
+
+      shared.then(({ failed, err, result, response }) => {
+        if (failed) {
+          return reject(failed);
+        }
+
+        callback(err, clone(result), response);
+      });
+    });
+  }
+
+  /**
+   * Invalidate the results configured for a server notification.
+   *
+   * @param {String} name - Notification name.
+   *
+   * @returns {Boolean} Whether the notification invalidates results.
+   *
+   * @private
+   */
+  notified(name) {
+    if (!this._invalidateOn.hasOwnProperty(name)) {
+      return false;
+    }
+
+    for (let pattern of [].concat(this._invalidateOn[name])) {
+      this.invalidate(pattern).catch(() => undefined);
+    }
+
+    return true;
+  }
+}
+
+module.exports = ResponseCache;
+
+/**
+ * Copy a result with the structured clone algorithm when available, preserving dates and other values which JSON cannot represent.
+ *
+ * @param {*} value - The result.
+ *
+ * @returns {*} The copy.
+ *
+ * @private
+ */
+function clone(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (check.function(v8.serialize)) {
+    return v8.deserialize(v8.serialize(value));
+  }
+
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Convert parameters to a canonical form, with object keys sorted.
+ *
+ * @param {*} value - Parameters.
+ *
+ * @returns {*} Canonical parameters.
+ *
+ * @private
+ */
+function canonicalize(value) {
+  if (check.array(value)) {
+    return value.map(canonicalize);
+  }
+
+  if (!check.object(value)) {
+    return value;
+  }
+
+  let sorted = {};
+
+  for (let key of Object.keys(value).sort()) {
+    sorted[key] = canonicalize(value[key]);
+  }
+
+  return sorted;
+}
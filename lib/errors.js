@@ -0,0 +1,369 @@
+'use strict';
+
+/**
+ * Error returned by the server in response to a call.
+ *
+ * Use {@link RPCError.from|`RPCError.from`} to get an instance of the subclass matching the error code.
+ *
+ * @class RPCError
+ * @extends Error
+ *
+ * @param {Object} error - Error object, as found in the response.
+ * @param {Object} [options={}] - Error options.
+ * @param {String} [options.method] - RPC method which failed.
+ * @param {Object} [options.response] - Original response.
+ *
+ * @property {Number} code - Error code.
+ * @property {*} data - Extra error data. Can be `undefined`.
+ * @property {String} method - RPC method which failed. Can be `undefined`.
+ * @property {Object} response - Original response, `null` if unknown.
+ *
+ * @example
+ * const { RPCError } = require('@desuuuu/jrpc-client');
+ */
+class RPCError extends Error {
+  constructor({ code, message, data } = {}, { method, response = null } = {}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.code = code;
+    this.data = data;
+    this.method = method;
+    this.response = response;
+  }
+
+  /**
+   * Get the error object to send in a response.
+   *
+   * @returns {Object} Error object with `code`, `message` and `data` (if any) properties.
+   */
+  toJSON() {
+    let error = {
+      code: this.code,
+      message: this.message
+    };
+
+    if (this.data !== undefined) {
+      error.data = this.data;
+    }
+
+    return error;
+  }
+
+  /**
+   * Create an error from an error object, using the subclass matching its code.
+   *
+   * @param {Object} error - Error object, as found in the response.
+   * @param {Object} [options={}] - Error options. See {@link RPCError|`RPCError`}.
+   *
+   * @returns {RPCError} The error.
+   */
+  static from(error, options) {
+    let code = (error && error.code);
+
+    if (codes.hasOwnProperty(code)) {
+      return new codes[code](error, options);
+    }
+
+    if (code <= -32000 && code >= -32099) {
+      return new ServerError(error, options);
+    }
+
+    return new RPCError(error, options);
+  }
+}
+
+/**
+ * Invalid JSON was received by the server (code `-32700`).
+ *
+ * @class ParseError
+ * @extends RPCError
+ */
+class ParseError extends RPCError {}
+
+/**
+ * The JSON sent is not a valid request object (code `-32600`).
+ *
+ * @class InvalidRequest
+ * @extends RPCError
+ */
+class InvalidRequest extends RPCError {}
+
+/**
+ * The method does not exist or is not available (code `-32601`).
+ *
+ * @class MethodNotFound
+ * @extends RPCError
+ */
+class MethodNotFound extends RPCError {}
+
+/**
+ * Invalid method parameters (code `-32602`).
+ *
+ * @class InvalidParams
+ * @extends RPCError
+ */
+class InvalidParams extends RPCError {}
+
+/**
+ * Internal JSON-RPC error (code `-32603`).
+ *
+ * @class InternalError
+ * @extends RPCError
+ */
+class InternalError extends RPCError {}
+
+/**
+ * Implementation-defined server error (codes `-32000` to `-32099`).
+ *
+ * @class ServerError
+ * @extends RPCError
+ */
+class ServerError extends RPCError {}
+
+const codes = {
+  '-32700': ParseError,
+  '-32600': InvalidRequest,
+  '-32601': MethodNotFound,
+  '-32602': InvalidParams,
+  '-32603': InternalError
+};
+
+/**
+ * Error returned when the transport failed to send data.
+ *
+ * @class TransportError
+ * @extends Error
+ *
+ * @param {Error} cause - Error returned by the transport.
+ * @param {Object} [options={}] - Error options.
+ * @param {String} [options.method] - RPC method which failed.
+ *
+ * @property {Error} cause - Error returned by the transport.
+ * @property {String} method - RPC method which failed. Can be `undefined`.
+ *
+ * @example
+ * const { TransportError } = require('@desuuuu/jrpc-client');
+ */
+class TransportError extends Error {
+  constructor(cause, { method } = {}) {
+    super((cause && cause.message) || 'Transport error');
+
+    this.name = 'TransportError';
+    this.cause = cause;
+    this.method = method;
+  }
+}
+
+/**
+ * Error returned when a batch split into several chunks could not be entirely sent. Calls of the failed chunks are rejected with this error, while the other calls proceed.
+ *
+ * @class BatchError
+ * @extends TransportError
+ *
+ * @param {Object[]} failed - Failed chunks.
+ * @param {Number} chunkCount - Number of chunks the batch was split into.
+ * @param {Object} [options={}] - Error options.
+ * @param {String} [options.method] - RPC method which failed.
+ *
+ * @property {Object[]} failed - Failed chunks, each with its `index`, the `requests` it contained and the `error` encountered.
+ * @property {Number} chunkCount - Number of chunks the batch was split into.
+ * @property {Error} cause - Error of the first failed chunk.
+ *
+ * @example
+ * const { BatchError } = require('@desuuuu/jrpc-client');
+ */
+class BatchError extends TransportError {
+  constructor(failed, chunkCount, { method } = {}) {
+    super(failed[0].error, { method });
+
+    this.name = 'BatchError';
+    this.message = `${failed.length} of ${chunkCount} batch chunks failed: ${this.message}`;
+    this.failed = failed;
+    this.chunkCount = chunkCount;
+  }
+}
+
+/**
+ * Error returned when a call did not receive a response in time.
+ *
+ * @class TimeoutError
+ * @extends Error
+ *
+ * @param {Object} [options={}] - Error options.
+ * @param {String} [options.method] - RPC method which failed.
+ *
+ * @property {Number} code - Error code, always `-1000`.
+ * @property {String} method - RPC method which failed. Can be `undefined`.
+ *
+ * @example
+ * const { TimeoutError } = require('@desuuuu/jrpc-client');
+ */
+class TimeoutError extends Error {
+  constructor({ method } = {}) {
+    super('Timed out waiting for response');
+
+    this.name = 'TimeoutError';
+    this.code = -1000;
+    this.method = method;
+  }
+}
+
+/**
+ * Error returned when a call waited too long in the queue because of the `maxInFlight` option. The call was not sent.
+ *
+ * @class QueueTimeoutError
+ * @extends Error
+ *
+ * @param {Object} [options={}] - Error options.
+ * @param {String} [options.method] - RPC method which failed.
+ *
+ * @property {String} method - RPC method which failed. Can be `undefined`.
+ *
+ * @example
+ * const { QueueTimeoutError } = require('@desuuuu/jrpc-client');
+ */
+class QueueTimeoutError extends Error {
+  constructor({ method } = {}) {
+    super('Timed out waiting in the queue');
+
+    this.name = 'QueueTimeoutError';
+    this.method = method;
+  }
+}
+
+/**
+ * Error returned when a call was rejected by the rate limiter. The call was not sent.
+ *
+ * @class RateLimitedError
+ * @extends Error
+ *
+ * @param {Object} [options={}] - Error options.
+ * @param {String} [options.method] - RPC method which failed.
+ * @param {Number} [options.retryAfter=0] - Time until a token is available, in milliseconds.
+ *
+ * @property {String} method - RPC method which failed. Can be `undefined`.
+ * @property {Number} retryAfter - Time until a token is available, in milliseconds.
+ *
+ * @example
+ * const { RateLimitedError } = require('@desuuuu/jrpc-client');
+ */
+class RateLimitedError extends Error {
+  constructor({ method, retryAfter = 0 } = {}) {
+    super('Rate limit exceeded');
+
+    this.name = 'RateLimitedError';
+    this.method = method;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Error returned when a call was aborted using its `signal` option.
+ *
+ * @class AbortError
+ * @extends Error
+ *
+ * @param {Object} [options={}] - Error options.
+ * @param {String} [options.method] - RPC method which failed.
+ *
+ * @property {String} method - RPC method which failed. Can be `undefined`.
+ *
+ * @example
+ * const { AbortError } = require('@desuuuu/jrpc-client');
+ */
+class AbortError extends Error {
+  constructor({ method } = {}) {
+    super('The operation was aborted');
+
+    this.name = 'AbortError';
+    this.method = method;
+  }
+}
+
+/**
+ * Error returned when the transport got disconnected before a response was received.
+ *
+ * @class ConnectionLostError
+ * @extends Error
+ *
+ * @param {Error} [cause=null] - Error which caused the disconnection.
+ * @param {Object} [options={}] - Error options.
+ * @param {String} [options.method] - RPC method which failed.
+ *
+ * @property {Error} cause - Error which caused the disconnection, `null` if none.
+ * @property {String} method - RPC method which failed. Can be `undefined`.
+ *
+ * @example
+ * const { ConnectionLostError } = require('@desuuuu/jrpc-client');
+ */
+class ConnectionLostError extends Error {
+  constructor(cause = null, { method } = {}) {
+    super('Connection lost');
+
+    this.name = 'ConnectionLostError';
+    this.cause = cause;
+    this.method = method;
+  }
+}
+
+/**
+ * Error returned when a notification buffer overflowed.
+ *
+ * @class OverflowError
+ * @extends Error
+ *
+ * @example
+ * const { OverflowError } = require('@desuuuu/jrpc-client');
+ */
+class OverflowError extends Error {
+  constructor() {
+    super('Notification buffer overflow');
+
+    this.name = 'OverflowError';
+  }
+}
+
+/**
+ * Error passed along with the `disconnected` event when a WebSocket connection was closed by the server or lost.
+ *
+ * @class CloseError
+ * @extends Error
+ *
+ * @param {Number} code - Close code. `1006` when the connection was lost without a close frame.
+ * @param {String} [reason=''] - Close reason sent by the server.
+ *
+ * @property {Number} code - Close code.
+ * @property {String} reason - Close reason, empty if none.
+ *
+ * @example
+ * const { CloseError } = require('@desuuuu/jrpc-client');
+ */
+class CloseError extends Error {
+  constructor(code, reason = '') {
+    super(`Connection closed with code ${code}${(reason ? `: ${reason}` : '')}`);
+
+    this.name = 'CloseError';
+    this.code = code;
+    this.reason = reason;
+  }
+}
+
+module.exports = {
+  RPCError,
+  ParseError,
+  InvalidRequest,
+  MethodNotFound,
+  InvalidParams,
+  InternalError,
+  ServerError,
+  TransportError,
+  BatchError,
+  TimeoutError,
+  QueueTimeoutError,
+  RateLimitedError,
+  AbortError,
+  ConnectionLostError,
+  OverflowError,
+  CloseError
+};
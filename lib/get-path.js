@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Get a value using a dot-separated path.
+ *
+ * @param {*} object - Object to read from.
+ * @param {String} path - Path of the value.
+ *
+ * @returns {*} The value, `undefined` if not found.
+ *
+ * @private
+ */
+function getPath(object, path) {
+  for (let key of path.split('.')) {
+    if (object === null || typeof object !== 'object') {
+      return undefined;
+    }
+
+    object = object[key];
+  }
+
+  return object;
+}
+
+module.exports = getPath;
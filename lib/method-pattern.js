@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Convert a method pattern to a regular expression.
+ *
+ * @param {String} pattern - Method pattern, using `*` as a wildcard.
+ *
+ * @returns {RegExp} The regular expression.
+ *
+ * @private
+ */
+function toRegExp(pattern) {
+  let source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = toRegExp;
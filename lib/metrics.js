@@ -0,0 +1,184 @@
+'use strict';
+
+const check = require('check-types');
+
+/**
+ * Collector of request lifecycle metrics.
+ *
+ * Counters and latency histograms are cumulative, following the Prometheus conventions: each latency bucket counts the responses received within its upper bound (`le`), in milliseconds.
+ *
+ * @private
+ */
+class Metrics {
+
+  /**
+   * Initialize a new collector.
+   *
+   * @param {Object} options - Metrics options. See the `metrics` option of {@link JRPCClient|`JRPCClient`}.
+   *
+   * @throws {TypeError} Invalid option.
+   */
+  constructor({ buckets = [ 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000 ], adapter } = {}) {
+    check.assert(check.nonEmptyArray(buckets) && buckets.every((bound, index) => check.greater(bound, 0) && (!index || bound > buckets[index - 1])), 'invalid "metrics.buckets" option', TypeError);
+    check.assert(!check.assigned(adapter) || check.object(adapter), 'invalid "metrics.adapter" option', TypeError);
+
+    this._buckets = buckets;
+    this._adapter = (adapter || {});
+    this._totals = createCounters();
+    this._methods = new Map();
+    this._batches = 0;
+  }
+
+  /**
+   * Record a lifecycle event and pass it to the adapter.
+   *
+   * @param {String} event - Event name: `request`, `response`, `timeout` or `batch`.
+   * @param {Object} info - Event information.
+   *
+   * @throws {Error} Error thrown by the adapter. The event is recorded nonetheless.
+   */
+  record(event, info) {
+    if (event === 'batch') {
+      this._batches++;
+    } else {
+      count(this._totals, event, info);
+      count(methodCounters.call(this, info.method), event, info);
+    }
+
+    if (check.function(this._adapter[event])) {
+      this._adapter[event](info);
+    }
+  }
+
+  /**
+   * Take a snapshot of the metrics.
+   *
+   * @returns {Object} The metrics. See {@link JRPCClient#stats|`stats`}.
+   */
+  snapshot() {
+    let methods = {};
+
+    for (let [ method, counters ] of this._methods) {
+      methods[method] = copyCounters(counters);
+    }
+
+    return Object.assign(copyCounters(this._totals), {
+      batches: this._batches,
+      methods
+    });
+  }
+}
+
+module.exports = Metrics;
+
+/**
+ * Get the counters of a method, creating them if needed.
+ *
+ * @param {String} method - RPC method.
+ *
+ * @returns {Object} The counters.
+ *
+ * @memberof Metrics
+ * @private
+ */
+function methodCounters(method) {
+  if (!this._methods.has(method)) {
+    this._methods.set(method, createCounters(this._buckets));
+  }
+
+  return this._methods.get(method);
+}
+
+/**
+ * Create empty counters.
+ *
+ * @param {Number[]} [buckets] - Upper bounds of the latency buckets. Only the per-method counters have a histogram.
+ *
+ * @returns {Object} The counters.
+ *
+ * @private
+ */
+function createCounters(buckets) {
+  let counters = {
+    requests: 0,
+    responses: 0,
+    errors: 0,
+    timeouts: 0,
+    errorCodes: {}
+  };
+
+  if (buckets) {
+    counters.latency = {
+      count: 0,
+      sum: 0,
+      buckets: buckets.map(le => ({ le, count: 0 })).concat({ le: Infinity, count: 0 })
+    };
+  }
+
+  return counters;
+}
+
+/**
+ * Update counters with an event.
+ *
+ * @param {Object} counters - The counters.
+ * @param {String} event - Event name.
+ * @param {Object} info - Event information.
+ *
+ * @private
+ */
+function count(counters, event, info) {
+  if (event === 'request') {
+    counters.requests++;
+  } else if (event === 'timeout') {
+    counters.timeouts++;
+  } else if (event === 'response') {
+    counters.responses++;
+
+    if (info.outcome === 'error') {
+      counters.errors++;
+      counters.errorCodes[info.code] = (counters.errorCodes[info.code] || 0) + 1;
+    }
+
+    if (counters.latency) {
+      counters.latency.count++;
+      counters.latency.sum += info.duration;
+
+      for (let bucket of counters.latency.buckets) {
+        if (info.duration <= bucket.le) {
+          bucket.count++;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Copy counters for a snapshot, adding the error rate.
+ *
+ * @param {Object} counters - The counters.
+ *
+ * @returns {Object} The copy.
+ *
+ * @private
+ */
+function copyCounters({ requests, responses, errors, timeouts, errorCodes, latency }) {
+  let copy = {
+    requests,
+    responses,
+    errors,
+    timeouts,
+    errorRate: (responses ? errors / responses : 0),
+    errorCodes: Object.assign({}, errorCodes)
+  };
+
+  if (latency) {
+    copy.latency = {
+      count: latency.count,
+      sum: latency.sum,
+      buckets: latency.buckets.map(bucket => Object.assign({}, bucket))
+    };
+  }
+
+  return copy;
+}
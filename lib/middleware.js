@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Run a message through a chain of middleware hooks.
+ *
+ * Each hook is invoked with (message, next). Calling `next` passes the message (or a replacement) to the following hook, the last one being `last`. A hook may also return without calling `next` to stop the chain.
+ *
+ * @param {Function[]} hooks - Hooks to run, in order.
+ * @param {*} message - Message to process.
+ * @param {Function} last - Invoked with the message once every hook called `next`.
+ *
+ * @promise {Promise} Resolves with the value returned by the first hook (or `last` if there are no hooks).
+ *
+ * @private
+ */
+function run(hooks, message, last) {
+  let dispatch = (index, message) => {
+    if (index >= hooks.length) {
+      return Promise.resolve().then(() => last(message));
+    }
+
+    let called = false;
+
+    let next = (nextMessage = message) => {
+      if (called) {
+        return Promise.reject(new Error('next() called multiple times'));
+      }
+
+      called = true;
+
+      return dispatch(index + 1, nextMessage);
+    };
+
+    return Promise.resolve().then(() => hooks[index](message, next));
+  };
+
+  return dispatch(0, message);
+}
+
+module.exports = {
+  run
+};
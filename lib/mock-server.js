@@ -0,0 +1,463 @@
+'use strict';
+
+const check = require('check-types');
+
+const MemoryTransport = require('./transports/memory');
+const { RPCError } = require('./errors');
+
+const batchOrders = [ 'preserve', 'reverse', 'random' ];
+
+/**
+ * In-memory JSON-RPC server, meant for testing code which uses the client.
+ *
+ * Handlers are registered per method. Latency, RPC errors, transport errors and dropped responses can be injected, and every received request is recorded.
+ *
+ * @class MockServer
+ *
+ * @example
+ * const { MockServer } = require('@desuuuu/jrpc-client');
+ *
+ * let server = new MockServer();
+ *
+ * server.handle('sum', ([ a, b ]) => a + b);
+ * server.handle('broken', null, {
+ *   error: { code: 1234, message: 'Broken' }
+ * });
+ *
+ * let client = new JRPCClient({
+ *   transport: server.createTransport()
+ * });
+ *
+ * await client.call('sum', [ 1, 2 ]); // 3
+ *
+ * server.calls('sum'); // [ { jsonrpc: '2.0', id: 1, method: 'sum', params: [ 1, 2 ] } ]
+ */
+class MockServer {
+
+  /**
+   * Initialize a new server.
+   *
+   * @param {Object} [options={}] - Server options.
+   * @param {Number} [options.latency=0] - Default delay before responding, in milliseconds.
+   * @param {String} [options.batchOrder='preserve'] - Order of the responses to a batch: `preserve`, `reverse` or `random`.
+   *
+   * @throws {TypeError} Invalid parameter.
+   */
+  constructor({ latency = 0, batchOrder = 'preserve' } = {}) {
+    check.assert.greaterOrEqual(latency, 0, 'invalid "latency" option');
+    check.assert.includes(batchOrders, batchOrder, 'invalid "batchOrder" option');
+
+    this._latency = latency;
+    this._batchOrder = batchOrder;
+    this._handlers = new Map();
+    this._transports = new Set();
+    this._requests = [];
+    this._outgoing = new Map();
+    this._serial = 0;
+    this._connectError = null;
+  }
+
+  /**
+   * Requests received so far, in order. Requests sent in a batch are listed individually.
+   *
+   * @type {Object[]}
+   * @readonly
+   */
+  get requests() {
+    return this._requests.slice();
+  }
+
+  /**
+   * Register the handler of a method.
+   *
+   * The handler is invoked with (params, request). The value it returns (or resolves with) is sent back as the result. If it throws an object with `code` and `message` properties (such as an {@link RPCError|`RPCError`}), it is sent back as the error. Any other error is sent back as an internal error.
+   *
+   * @param {String} method - Name of the method.
+   * @param {Function} [handler=null] - Handler of the method. Can be `null` when `options.error` is set.
+   * @param {Object} [options={}] - Handler options.
+   * @param {Number} [options.latency] - Delay before responding, in milliseconds. Defaults to the server's `latency` option.
+   * @param {Object} [options.error] - Error object to respond with instead of invoking the handler.
+   * @param {Boolean} [options.drop=false] - Whether to drop the response.
+   * @param {Error} [options.transportError] - Error to reject the transport `send` with when the method is called.
+   *
+   * @returns {MockServer} The server instance, for chaining.
+   *
+   * @throws {TypeError} Invalid parameter.
+   */
+  handle(method, handler = null, { latency, error, drop = false, transportError } = {}) {
+    check.assert.nonEmptyString(method, 'missing/invalid "method" parameter');
+    check.assert(check.function(handler) || (handler === null && check.object(error)), 'missing/invalid "handler" parameter', TypeError);
+    check.assert.maybe.greaterOrEqual(latency, 0, 'invalid "latency" option');
+    check.assert.boolean(drop, 'invalid "drop" option');
+
+    this._handlers.set(method, {
+      handler,
+      latency,
+      error,
+      drop,
+      transportError
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove the handler of a method.
+   *
+   * @param {String} method - Name of the method.
+   *
+   * @returns {MockServer} The server instance, for chaining.
+   */
+  unhandle(method) {
+    this._handlers.delete(method);
+
+    return this;
+  }
+
+  /**
+   * Create a transport connected to this server.
+   *
+   * @param {Object} [options={}] - Transport options.
+   * @param {Boolean} [options.needsConnection=false] - Whether the transport must be connected before sending data.
+   *
+   * @returns {MemoryTransport} The transport.
+   */
+  createTransport({ needsConnection = false } = {}) {
+    return new MemoryTransport({
+      server: this,
+      needsConnection
+    });
+  }
+
+  /**
+   * Get the recorded requests for a method.
+   *
+   * @param {String} method - Name of the method.
+   *
+   * @returns {Object[]} The requests, in order.
+   */
+  calls(method) {
+    return this._requests.filter(request => request.method === method);
+  }
+
+  /**
+   * Forget the recorded requests.
+   *
+   * @returns {MockServer} The server instance, for chaining.
+   */
+  reset() {
+    this._requests = [];
+
+    return this;
+  }
+
+  /**
+   * Send a notification to every connected client.
+   *
+   * @param {String} method - Name of the notification.
+   * @param {*} [params] - Notification parameters.
+   */
+  notify(method, params) {
+    let notification = {
+      jsonrpc: '2.0',
+      method
+    };
+
+    if (params !== undefined) {
+      notification.params = params;
+    }
+
+    for (let transport of this._transports) {
+      transport.deliver(notification);
+    }
+  }
+
+  /**
+   * Send a request to a connected client.
+   *
+   * @param {String} method - RPC method to call.
+   * @param {*} [params] - RPC parameters.
+   *
+   * @promise {Promise} Resolves with the client's response.
+   * @resolve {*} The result.
+   * @reject {RPCError} Error returned by the client.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} No connected client.
+   */
+  request(method, params) {
+    return new Promise((resolve, reject) => {
+      let transport = this._transports.values().next().value;
+
+      if (!transport) {
+        return reject(new Error('No connected client'));
+      }
+
+      let id = `server-${++this._serial}`;
+
+      this._outgoing.set(id, (response) => {
+        if (response.hasOwnProperty('error')) {
+          return reject(RPCError.from(response.error, { method, response }));
+        }
+
+        resolve(response.result);
+      });
+
+      let request = {
+        jsonrpc: '2.0',
+        id,
+        method
+      };
+
+      if (params !== undefined) {
+        request.params = params;
+      }
+
+      transport.deliver(request);
+    });
+  }
+
+  /**
+   * Disconnect every client whose transport needs a connection.
+   *
+   * @param {Error} [err=null] - Error passed along with the `disconnected` event.
+   */
+  disconnect(err = null) {
+    for (let transport of Array.from(this._transports)) {
+      if (transport.needsConnection) {
+        transport.close(err);
+      }
+    }
+  }
+
+  /**
+   * Refuse new connections.
+   *
+   * @param {Error} [err] - Error to reject the transport `connect` with. Use `null` to accept connections again.
+   */
+  refuseConnections(err = new Error('Connection refused')) {
+    this._connectError = err;
+  }
+
+  /**
+   * Accept a connection from a transport.
+   *
+   * @param {MemoryTransport} transport - The transport.
+   *
+   * @promise {Promise} Resolves once accepted.
+   *
+   * @private
+   */
+  async accept(transport) {
+    if (transport.needsConnection && this._connectError) {
+      throw this._connectError;
+    }
+
+    this._transports.add(transport);
+  }
+
+  /**
+   * Forget about a disconnected transport.
+   *
+   * @param {MemoryTransport} transport - The transport.
+   *
+   * @private
+   */
+  release(transport) {
+    this._transports.delete(transport);
+  }
+
+  /**
+   * Receive data sent by a transport.
+   *
+   * @param {MemoryTransport} transport - The transport.
+   * @param {String} data - Received data.
+   *
+   * @promise {Promise} Resolves once the data has been received. Responses are sent afterwards.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Injected transport error.
+   *
+   * @private
+   */
+  async receive(transport, data) {
+    let message;
+
+    try {
+      message = JSON.parse(data);
+    } catch (err) {
+      return respond(transport, errorResponse(null, -32700, 'Parse error'));
+    }
+
+    let batch = check.array(message);
+    let messages = (batch ? message : [ message ]);
+
+    for (let request of messages) {
+      let entry = (check.object(request) && this._handlers.get(request.method));
+
+      if (entry && entry.transportError) {
+        throw entry.transportError;
+      }
+    }
+
+    if (batch && !messages.length) {
+      return respond(transport, errorResponse(null, -32600, 'Invalid Request'));
+    }
+
+    let requests = [];
+
+    for (let request of messages) {
+      if (check.object(request) && !request.hasOwnProperty('method') && this._outgoing.has(request.id)) {
+        let callback = this._outgoing.get(request.id);
+
+        this._outgoing.delete(request.id);
+
+        callback(request);
+      } else {
+        this._requests.push(request);
+
+        requests.push(request);
+      }
+    }
+
+    if (!requests.length) {
+      return;
+    }
+
+    Promise.all(requests.map(handleRequest.bind(this))).then((responses) => {
+      responses = responses.filter(response => response);
+
+      if (!responses.length) {
+        return;
+      }
+
+      if (!batch) {
+        return respond(transport, responses[0]);
+      }
+
+      respond(transport, sortResponses(responses, this._batchOrder));
+    });
+  }
+}
+
+module.exports = MockServer;
+
+/**
+ * Handle a single request.
+ *
+ * @param {Object} request - The request.
+ *
+ * @promise {Promise} Resolves with the response, `undefined` if there is none.
+ *
+ * @memberof MockServer
+ * @private
+ */
+async function handleRequest(request) {
+  if (!check.object(request) || request.jsonrpc !== '2.0' || !check.nonEmptyString(request.method)) {
+    return errorResponse((check.object(request) && request.hasOwnProperty('id') ? request.id : null), -32600, 'Invalid Request');
+  }
+
+  let notification = !request.hasOwnProperty('id');
+  let entry = this._handlers.get(request.method);
+
+  if (!entry) {
+    return (notification ? undefined : errorResponse(request.id, -32601, 'Method not found'));
+  }
+
+  let latency = (entry.latency === undefined ? this._latency : entry.latency);
+
+  if (latency > 0) {
+    await new Promise(resolve => setTimeout(resolve, latency));
+  }
+
+  let response;
+
+  if (entry.error) {
+    response = errorResponse(request.id, entry.error.code, entry.error.message, entry.error.data);
+  } else {
+    try {
+      let result = await entry.handler.call(null, request.params, request);
+
+      response = {
+        jsonrpc: '2.0',
+        id: request.id,
+        result: (result === undefined ? null : result)
+      };
+    } catch (err) {
+      if (err && check.number(err.code) && check.string(err.message)) {
+        response = errorResponse(request.id, err.code, err.message, err.data);
+      } else {
+        response = errorResponse(request.id, -32603, ((err && err.message) || 'Internal error'));
+      }
+    }
+  }
+
+  if (notification || entry.drop) {
+    return undefined;
+  }
+
+  return response;
+}
+
+/**
+ * Build an error response.
+ *
+ * @param {*} id - Request ID.
+ * @param {Number} code - Error code.
+ * @param {String} message - Error message.
+ * @param {*} [data] - Extra error data.
+ *
+ * @returns {Object} The response.
+ *
+ * @private
+ */
+function errorResponse(id, code, message, data) {
+  let error = {
+    code,
+    message
+  };
+
+  if (data !== undefined) {
+    error.data = data;
+  }
+
+  return {
+    jsonrpc: '2.0',
+    id,
+    error
+  };
+}
+
+/**
+ * Order the responses to a batch.
+ *
+ * @param {Object[]} responses - The responses.
+ * @param {String} order - `preserve`, `reverse` or `random`.
+ *
+ * @returns {Object[]} The ordered responses.
+ *
+ * @private
+ */
+function sortResponses(responses, order) {
+  if (order === 'reverse') {
+    return responses.reverse();
+  }
+
+  if (order === 'random') {
+    for (let i = responses.length - 1; i > 0; i--) {
+      let j = Math.floor(Math.random() * (i + 1));
+
+      [ responses[i], responses[j] ] = [ responses[j], responses[i] ];
+    }
+  }
+
+  return responses;
+}
+
+/**
+ * Send data to a transport, asynchronously.
+ *
+ * @param {MemoryTransport} transport - The transport.
+ * @param {*} data - Data to send.
+ *
+ * @private
+ */
+function respond(transport, data) {
+  setImmediate(() => transport.deliver(data));
+}
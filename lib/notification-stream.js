@@ -0,0 +1,176 @@
+'use strict';
+
+const check = require('check-types');
+
+const { OverflowError } = require('./errors');
+
+const overflowPolicies = [ 'drop-oldest', 'drop-newest', 'error' ];
+
+/**
+ * Asynchronous iterator over received notifications.
+ *
+ * Notifications received while nobody is waiting are buffered, up to `highWaterMark`. The iteration ends once the stream is closed. Buffered notifications are delivered first.
+ *
+ * Instances are returned by {@link JRPCClient#notifications|`notifications`}.
+ *
+ * @class NotificationStream
+ *
+ * @example
+ * for await (let params of client.notifications('log')) {
+ *   console.log(params);
+ * }
+ */
+class NotificationStream {
+
+  /**
+   * Initialize a new stream.
+   *
+   * @param {Object} [options={}] - Stream options.
+   * @param {AbortSignal} [options.signal] - Signal used to close the stream.
+   * @param {Number} [options.highWaterMark=100] - Maximum number of buffered notifications.
+   * @param {String} [options.overflow='drop-oldest'] - What to do when the buffer is full: `drop-oldest`, `drop-newest` or `error`. With `error`, the iteration fails with an {@link OverflowError|`OverflowError`} once the buffered notifications are consumed.
+   * @param {Function} [options.onClose] - Invoked once the stream gets closed.
+   *
+   * @throws {TypeError} Invalid parameter.
+   *
+   * @private
+   */
+  constructor({ signal, highWaterMark = 100, overflow = 'drop-oldest', onClose } = {}) {
+    check.assert.greaterOrEqual(highWaterMark, 1, 'invalid "highWaterMark" option');
+    check.assert.includes(overflowPolicies, overflow, 'invalid "overflow" option');
+    check.assert(!check.assigned(signal) || check.function(signal.addEventListener), 'invalid "signal" option', TypeError);
+
+    this._buffer = [];
+    this._waiting = [];
+    this._closed = false;
+    this._error = null;
+    this._highWaterMark = highWaterMark;
+    this._overflow = overflow;
+    this._signal = signal;
+    this._onClose = onClose;
+    this._onAbort = this.close.bind(this);
+
+    if (signal) {
+      if (signal.aborted) {
+        this._closed = true;
+      } else {
+        signal.addEventListener('abort', this._onAbort);
+      }
+    }
+  }
+
+  /**
+   * Whether the stream is closed.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get closed() {
+    return this._closed;
+  }
+
+  /**
+   * Add a value to the stream.
+   *
+   * @param {*} value - The value.
+   *
+   * @private
+   */
+  push(value) {
+    if (this._closed) {
+      return;
+    }
+
+    if (this._waiting.length) {
+      return this._waiting.shift().resolve({ value, done: false });
+    }
+
+    if (this._buffer.length >= this._highWaterMark) {
+      if (this._overflow === 'drop-newest') {
+        return;
+      }
+
+      if (this._overflow === 'error') {
+        this._error = new OverflowError();
+
+        return this.close();
+      }
+
+      this._buffer.shift();
+    }
+
+    this._buffer.push(value);
+  }
+
+  /**
+   * Get the next value.
+   *
+   * @promise {Promise} Resolves with the next iterator result.
+   * @reject {OverflowError} The buffer overflowed.
+   */
+  next() {
+    if (this._buffer.length) {
+      return Promise.resolve({ value: this._buffer.shift(), done: false });
+    }
+
+    if (this._error) {
+      let err = this._error;
+
+      this._error = null;
+
+      return Promise.reject(err);
+    }
+
+    if (this._closed) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    return new Promise((resolve, reject) => {
+      this._waiting.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Close the stream and end the iteration. Invoked automatically when breaking out of a `for await` loop.
+   *
+   * @promise {Promise} Resolves with the final iterator result.
+   */
+  return() {
+    this.close();
+
+    this._buffer.length = 0;
+
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  /**
+   * Close the stream. Buffered values can still be consumed.
+   */
+  close() {
+    if (this._closed) {
+      return;
+    }
+
+    this._closed = true;
+
+    if (this._signal) {
+      this._signal.removeEventListener('abort', this._onAbort);
+    }
+
+    for (let waiting of this._waiting.splice(0)) {
+      waiting.resolve({ value: undefined, done: true });
+    }
+
+    if (this._onClose) {
+      this._onClose.call(null);
+    }
+  }
+}
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  NotificationStream.prototype[Symbol.asyncIterator] = function() {
+    return this;
+  };
+}
+
+module.exports = NotificationStream;
@@ -0,0 +1,105 @@
+'use strict';
+
+const check = require('check-types');
+
+/**
+ * Create a proxy turning property accesses into RPC method names.
+ *
+ * @param {JRPCClient} client - Client used to make the calls.
+ * @param {Object} options - Proxy options.
+ * @param {String} options.separator - String used to join the method name parts.
+ * @param {Boolean} options.namedParams - Whether to send a single object argument as named parameters.
+ *
+ * @returns {Proxy} The proxy.
+ *
+ * @private
+ */
+function create(client, options) {
+  let root = createNode((method, params) => client.call(method, params), [], options);
+
+  return new Proxy(root, {
+    get(target, name) {
+      if (name === '$batch') {
+        return (builder) => batch(client, builder, options);
+      }
+
+      return target[name];
+    }
+  });
+}
+
+/**
+ * Send a batch of calls built using a proxy.
+ *
+ * @param {JRPCClient} client - Client used to make the calls.
+ * @param {Function} builder - Invoked with a proxy preparing calls. Must return an array or an object of prepared calls.
+ * @param {Object} options - Proxy options.
+ *
+ * @promise {Promise} Resolves after all the calls. See {@link JRPCClient#batch|`batch`}.
+ *
+ * @private
+ */
+function batch(client, builder, options) {
+  return new Promise((resolve, reject) => {
+    if (!check.function(builder)) {
+      return reject(new TypeError('missing/invalid "builder" parameter'));
+    }
+
+    let api = createNode((method, params) => client.prepare(method, params), [], options);
+
+    client.batch(builder(api)).then(resolve).catch(reject);
+  });
+}
+
+/**
+ * Create a node of the proxy tree.
+ *
+ * @param {Function} invoke - Invoked with (method, params) when the node is called.
+ * @param {String[]} path - Method name parts leading to the node.
+ * @param {Object} options - Proxy options.
+ *
+ * @returns {Proxy} The node.
+ *
+ * @private
+ */
+function createNode(invoke, path, options) {
+  return new Proxy(function() {}, {
+    get(target, name) {
+      // Keep the proxy from being mistaken for a thenable or a primitive.
+      if (typeof name === 'symbol' || name === 'then') {
+        return undefined;
+      }
+
+      return createNode(invoke, path.concat(name), options);
+    },
+    apply(target, thisArg, args) {
+      if (!path.length) {
+        return Promise.reject(new TypeError('missing method name'));
+      }
+
+      return invoke(path.join(options.separator), toParams(args, options));
+    }
+  });
+}
+
+/**
+ * Convert call arguments to RPC parameters.
+ *
+ * @param {Array} args - Call arguments.
+ * @param {Object} options - Proxy options.
+ *
+ * @returns {Array|Object} RPC parameters.
+ *
+ * @private
+ */
+function toParams(args, { namedParams }) {
+  if (namedParams && args.length === 1 && check.object(args[0])) {
+    return args[0];
+  }
+
+  return args;
+}
+
+module.exports = {
+  create
+};
@@ -0,0 +1,224 @@
+'use strict';
+
+const check = require('check-types');
+
+const getPath = require('./get-path');
+const toRegExp = require('./method-pattern');
+
+const modes = [ 'wait', 'reject' ];
+
+/**
+ * Token bucket options.
+ *
+ * @typedef {Object} RateLimiter~Bucket
+ * @property {Number} rate - Number of tokens added per second.
+ * @property {Number} [burst] - Maximum number of tokens. Defaults to `rate`, at least `1`.
+ *
+ * @private
+ */
+
+/**
+ * Token bucket rate limiter.
+ *
+ * Each outgoing message takes a token from the client-wide bucket (if any) and from the bucket of the first method pattern it matches (if any). Patterns can use `*` as a wildcard.
+ *
+ * @private
+ */
+class RateLimiter {
+
+  /**
+   * Initialize a new rate limiter.
+   *
+   * @param {Object} options - Rate limiting options. See the `rateLimit` option of {@link JRPCClient|`JRPCClient`}.
+   *
+   * @throws {TypeError} Invalid option.
+   */
+  constructor({ default: defaults, methods = {}, mode = 'wait', throttleCode, retryAfterPath = 'retryAfter' } = {}) {
+    check.assert.includes(modes, mode, 'invalid "rateLimit.mode" option');
+    check.assert.object(methods, 'invalid "rateLimit.methods" option');
+    check.assert(!check.assigned(throttleCode) || check.integer(throttleCode) || check.array.of.integer(throttleCode), 'invalid "rateLimit.throttleCode" option', TypeError);
+    check.assert.nonEmptyString(retryAfterPath, 'invalid "rateLimit.retryAfterPath" option');
+
+    this._mode = mode;
+    this._default = (check.assigned(defaults) ? createBucket(defaults, 'rateLimit.default') : null);
+    this._throttleCodes = (check.assigned(throttleCode) ? [].concat(throttleCode) : []);
+    this._retryAfterPath = retryAfterPath;
+
+    this._methods = Object.keys(methods).map((pattern) => {
+      return {
+        regexp: toRegExp(pattern),
+        bucket: createBucket(methods[pattern], `rateLimit.methods.${pattern}`)
+      };
+    });
+  }
+
+  /**
+   * Whether messages without tokens are rejected instead of waiting.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get rejects() {
+    return (this._mode === 'reject');
+  }
+
+  /**
+   * Take tokens for outgoing messages.
+   *
+   * In `wait` mode, the tokens are reserved even if they are not available yet. In `reject` mode, messages without available tokens are skipped.
+   *
+   * @param {Object[]} messages - Outgoing messages. Responses are not limited.
+   *
+   * @returns {Object} The `delay` to wait before sending, in milliseconds, and the `rejected` messages, each with its `retryAfter` delay.
+   */
+  take(messages) {
+    let now = Date.now();
+    let delay = 0;
+    let rejected = [];
+
+    for (let message of messages) {
+      if (!check.string(message.method)) {
+        continue;
+      }
+
+      let buckets = bucketsFor.call(this, message.method);
+
+      for (let bucket of buckets) {
+        refill(bucket, now);
+      }
+
+      if (this.rejects) {
+        let wait = Math.max(0, ...buckets.map(bucket => waitTime(bucket, 1, now)));
+
+        if (wait > 0) {
+          rejected.push({ message, retryAfter: wait });
+
+          continue;
+        }
+      }
+
+      for (let bucket of buckets) {
+        bucket.tokens -= 1;
+
+        delay = Math.max(delay, waitTime(bucket, 0, now));
+      }
+    }
+
+    return {
+      delay,
+      rejected
+    };
+  }
+
+  /**
+   * Handle an error returned by the server. When its code is a throttle code, the buckets of the method are blocked for the retry-after delay found in its data.
+   *
+   * @param {String} method - RPC method which failed.
+   * @param {Object} error - Error object.
+   */
+  throttle(method, error) {
+    if (!check.object(error) || this._throttleCodes.indexOf(error.code) === -1) {
+      return;
+    }
+
+    let retryAfter = getPath(error.data, this._retryAfterPath);
+
+    if (!check.greaterOrEqual(retryAfter, 0)) {
+      return;
+    }
+
+    let until = Date.now() + (retryAfter * 1000);
+
+    for (let bucket of bucketsFor.call(this, method)) {
+      bucket.blockedUntil = Math.max(bucket.blockedUntil, until);
+    }
+  }
+}
+
+module.exports = RateLimiter;
+
+/**
+ * Get the buckets a method takes tokens from.
+ *
+ * @param {String} method - RPC method.
+ *
+ * @returns {Object[]} The buckets.
+ *
+ * @memberof RateLimiter
+ * @private
+ */
+function bucketsFor(method) {
+  let buckets = [];
+
+  if (this._default) {
+    buckets.push(this._default);
+  }
+
+  let match = this._methods.find(({ regexp }) => regexp.test(method));
+
+  if (match) {
+    buckets.push(match.bucket);
+  }
+
+  return buckets;
+}
+
+/**
+ * Validate bucket options and create a full bucket.
+ *
+ * @param {RateLimiter~Bucket} options - Bucket options.
+ * @param {String} name - Name of the option, used in error messages.
+ *
+ * @returns {Object} The bucket.
+ *
+ * @throws {TypeError} Invalid option.
+ *
+ * @private
+ */
+function createBucket(options, name) {
+  check.assert.object(options, `invalid "${name}" option`);
+
+  let { rate, burst = Math.max(1, rate) } = options;
+
+  check.assert.greater(rate, 0, `invalid "${name}.rate" option`);
+  check.assert.greaterOrEqual(burst, 1, `invalid "${name}.burst" option`);
+
+  return {
+    rate,
+    burst,
+    tokens: burst,
+    updated: Date.now(),
+    blockedUntil: 0
+  };
+}
+
+/**
+ * Add the tokens accumulated since the last update.
+ *
+ * @param {Object} bucket - The bucket.
+ * @param {Number} now - Current timestamp.
+ *
+ * @private
+ */
+function refill(bucket, now) {
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + (((now - bucket.updated) * bucket.rate) / 1000));
+  bucket.updated = now;
+}
+
+/**
+ * Compute the time until a bucket holds enough tokens.
+ *
+ * @param {Object} bucket - The bucket, refilled beforehand.
+ * @param {Number} needed - Number of tokens needed.
+ * @param {Number} now - Current timestamp.
+ *
+ * @returns {Number} Time to wait, in milliseconds.
+ *
+ * @private
+ */
+function waitTime(bucket, needed, now) {
+  let missing = needed - bucket.tokens;
+  let wait = (missing > 0 ? Math.ceil((missing * 1000) / bucket.rate) : 0);
+
+  return Math.max(wait, bucket.blockedUntil - now);
+}
@@ -0,0 +1,290 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const NotificationStream = require('./notification-stream');
+const getPath = require('./get-path');
+
+/**
+ * Subscription to a server-side event source, created using {@link JRPCClient#subscribe|`subscribe`}.
+ *
+ * Notifications routed to the subscription are emitted as `data` events and can also be consumed as an asynchronous iterator.
+ *
+ * @class Subscription
+ * @extends EventEmitter
+ *
+ * @example
+ * let subscription = await client.subscribe('eth_subscribe', [ 'newHeads' ], {
+ *   notificationMethod: 'eth_subscription',
+ *   unsubscribeMethod: 'eth_unsubscribe',
+ *   resultPath: 'result'
+ * });
+ *
+ * for await (let head of subscription) {
+ *   console.log(head);
+ * }
+ */
+class Subscription extends EventEmitter {
+
+  /**
+   * Initialize a new subscription.
+   *
+   * @param {JRPCClient} client - Client used to make the calls.
+   * @param {Object} options - Subscription options. See {@link JRPCClient#subscribe|`subscribe`}.
+   *
+   * @private
+   */
+  constructor(client, options) {
+    super();
+
+    let { notificationMethod, highWaterMark, overflow } = options;
+
+    this._client = client;
+    this._options = options;
+    this._id = null;
+    this._closed = false;
+    this._lost = false;
+    this._early = [];
+
+    this._stream = new NotificationStream({
+      highWaterMark,
+      overflow
+    });
+
+    this._onNotification = onNotification.bind(this);
+    this._onDisconnected = onDisconnected.bind(this);
+    this._onConnected = onConnected.bind(this);
+
+    client.onNotification(notificationMethod, this._onNotification);
+    client.on('disconnected', this._onDisconnected);
+    client.on('connected', this._onConnected);
+  }
+
+  /**
+   * Subscription ID returned by the server, `null` until subscribed.
+   *
+   * @type {*}
+   * @readonly
+   */
+  get id() {
+    return this._id;
+  }
+
+  /**
+   * Whether the subscription is closed.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get closed() {
+    return this._closed;
+  }
+
+  /**
+   * Call the subscribe method and start routing notifications.
+   *
+   * @promise {Promise} Resolves once subscribed.
+   *
+   * @private
+   */
+  async open() {
+    let { method, params, idPath } = this._options;
+
+    this._id = null;
+    this._lost = false;
+
+    try {
+      this._id = await this._client.call(method, params);
+    } catch (err) {
+      this.end();
+
+      throw err;
+    }
+
+    let early = this._early;
+
+    this._early = [];
+
+    for (let params of early) {
+      if (getPath(params, idPath) === this._id) {
+        deliver.call(this, params);
+      }
+    }
+  }
+
+  /**
+   * Get the next notification.
+   *
+   * @promise {Promise} Resolves with the next iterator result.
+   */
+  next() {
+    return this._stream.next();
+  }
+
+  /**
+   * Close the subscription. Invoked automatically when breaking out of a `for await` loop.
+   *
+   * @promise {Promise} Resolves with the final iterator result.
+   */
+  async return() {
+    await this.close();
+
+    return this._stream.return();
+  }
+
+  /**
+   * Close the subscription, calling the unsubscribe method if there is one.
+   *
+   * @promise {Promise} Resolves once unsubscribed.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Unsubscribe call error.
+   */
+  async close() {
+    if (this._closed) {
+      return;
+    }
+
+    let id = this._id;
+
+    this.end();
+
+    let { unsubscribeMethod } = this._options;
+
+    if (unsubscribeMethod && id !== null && this._client.isConnected) {
+      await this._client.call(unsubscribeMethod, [ id ]);
+    }
+  }
+
+  /**
+   * Stop routing notifications without calling the unsubscribe method.
+   *
+   * @private
+   */
+  end() {
+    if (this._closed) {
+      return;
+    }
+
+    this._closed = true;
+    this._early = [];
+
+    this._client.offNotification(this._options.notificationMethod, this._onNotification);
+    this._client.removeListener('disconnected', this._onDisconnected);
+    this._client.removeListener('connected', this._onConnected);
+
+    this._stream.close();
+
+    this.emit('close');
+  }
+}
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  Subscription.prototype[Symbol.asyncIterator] = function() {
+    return this;
+  };
+}
+
+module.exports = Subscription;
+
+/**
+ * Handle a notification for the subscription method.
+ *
+ * @param {*} params - Notification parameters.
+ *
+ * @memberof Subscription
+ * @private
+ */
+function onNotification(params) {
+  if (this._id === null) {
+    if (this._early.length < this._options.highWaterMark) {
+      this._early.push(params);
+    }
+
+    return;
+  }
+
+  if (getPath(params, this._options.idPath) === this._id) {
+    deliver.call(this, params);
+  }
+}
+
+/**
+ * Deliver a notification to the subscription consumers.
+ *
+ * @param {*} params - Notification parameters.
+ *
+ * @memberof Subscription
+ * @private
+ */
+function deliver(params) {
+  let { resultPath } = this._options;
+
+  let value = (resultPath ? getPath(params, resultPath) : params);
+
+  this._stream.push(value);
+
+  this.emit('data', value);
+}
+
+/**
+ * Handle the client `disconnected` event.
+ *
+ * @memberof Subscription
+ * @private
+ */
+function onDisconnected() {
+  if (!this._options.resubscribe) {
+    return this.end();
+  }
+
+  if (this._id !== null) {
+    this._id = null;
+    this._lost = true;
+  }
+}
+
+/**
+ * Handle the client `connected` event.
+ *
+ * @memberof Subscription
+ * @private
+ */
+function onConnected() {
+  if (this._closed || !this._lost) {
+    return;
+  }
+
+  this.open().then(() => {
+    this.emit('resubscribed', this._id);
+  }).catch((err) => {
+    if (this.listenerCount('error')) {
+      this.emit('error', err);
+    }
+  });
+}
+
+/**
+ * Fired for each notification routed to the subscription.
+ *
+ * @event Subscription#data
+ * @param {*} value - Notification parameters, or the value found at `resultPath`.
+ */
+
+/**
+ * Fired once the subscription has been re-established after a reconnection.
+ *
+ * @event Subscription#resubscribed
+ * @param {*} id - New subscription ID.
+ */
+
+/**
+ * Fired when re-establishing the subscription failed. The subscription is closed.
+ *
+ * @event Subscription#error
+ * @param {Error} error - Encountered error.
+ */
+
+/**
+ * Fired once the subscription is closed.
+ *
+ * @event Subscription#close
+ */
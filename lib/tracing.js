@@ -0,0 +1,131 @@
+'use strict';
+
+const check = require('check-types');
+
+const targets = [ 'params', 'member', 'meta' ];
+
+const SPAN_KIND_CLIENT = 2;
+const STATUS_ERROR = 2;
+
+/**
+ * Validate tracing options and fill in the defaults.
+ *
+ * @param {Object} options - Tracing options. See the `tracing` option of {@link JRPCClient|`JRPCClient`}.
+ *
+ * @returns {Object} Normalized options.
+ *
+ * @throws {TypeError} Invalid option.
+ *
+ * @private
+ */
+function normalize(options) {
+  check.assert.object(options, 'invalid "tracing" option');
+
+  let { tracer, inject = 'params', field = 'traceparent' } = options;
+
+  check.assert(check.assigned(tracer) && check.function(tracer.startSpan), 'missing/invalid "tracing.tracer" option', TypeError);
+  check.assert.includes(targets, inject, 'invalid "tracing.inject" option');
+  check.assert.nonEmptyString(field, 'invalid "tracing.field" option');
+
+  return {
+    tracer,
+    inject,
+    field
+  };
+}
+
+/**
+ * Open a client span.
+ *
+ * @param {Object} tracer - OpenTelemetry-compatible tracer.
+ * @param {String} name - Span name.
+ * @param {Object} attributes - Span attributes.
+ *
+ * @returns {Object} The `span` and its W3C `traceparent`, `null` if its context is not valid.
+ *
+ * @private
+ */
+function startSpan(tracer, name, attributes) {
+  let span = tracer.startSpan(name, {
+    kind: SPAN_KIND_CLIENT,
+    attributes: Object.assign({
+      'rpc.system': 'jsonrpc',
+      'rpc.jsonrpc.version': '2.0'
+    }, attributes)
+  });
+
+  return {
+    span,
+    traceparent: toTraceparent(check.function(span.spanContext) ? span.spanContext() : null)
+  };
+}
+
+/**
+ * Close a span, recording the error of the call if any.
+ *
+ * @param {Object} span - The span.
+ * @param {*} [err] - RPC error object or error instance, `null` if none.
+ *
+ * @private
+ */
+function endSpan(span, err) {
+  if (err) {
+    if (check.integer(err.code)) {
+      setAttribute(span, 'rpc.jsonrpc.error_code', err.code);
+      setAttribute(span, 'rpc.jsonrpc.error_message', err.message);
+    }
+
+    if (err instanceof Error && check.function(span.recordException)) {
+      span.recordException(err);
+    }
+
+    if (check.function(span.setStatus)) {
+      span.setStatus({
+        code: STATUS_ERROR,
+        message: err.message
+      });
+    }
+  }
+
+  span.end();
+}
+
+/**
+ * Set a span attribute, if the span supports it.
+ *
+ * @param {Object} span - The span.
+ * @param {String} key - Attribute name.
+ * @param {*} value - Attribute value.
+ *
+ * @private
+ */
+function setAttribute(span, key, value) {
+  if (check.function(span.setAttribute) && check.assigned(value)) {
+    span.setAttribute(key, value);
+  }
+}
+
+/**
+ * Format a span context as a W3C `traceparent` header value.
+ *
+ * @param {Object} context - Span context, with its `traceId`, `spanId` and `traceFlags`.
+ *
+ * @returns {String} The `traceparent` value, `null` if the context is not valid.
+ *
+ * @private
+ */
+function toTraceparent(context) {
+  if (!check.object(context) || !/^[0-9a-f]{32}$/.test(context.traceId) || !/^[0-9a-f]{16}$/.test(context.spanId)) {
+    return null;
+  }
+
+  let flags = `0${((context.traceFlags || 0) & 0xff).toString(16)}`.slice(-2);
+
+  return `00-${context.traceId}-${context.spanId}-${flags}`;
+}
+
+module.exports = {
+  normalize,
+  startSpan,
+  endSpan
+};
@@ -0,0 +1,172 @@
+'use strict';
+
+const framings = [ 'newline', 'content-length', 'netstring' ];
+
+const headerSeparator = Buffer.from('\r\n\r\n');
+
+/**
+ * Encode a message using the given framing.
+ *
+ * @param {String} framing - `newline`, `content-length` or `netstring`.
+ * @param {String} message - The message.
+ *
+ * @returns {Buffer} Encoded message.
+ *
+ * @private
+ */
+function encode(framing, message) {
+  let body = Buffer.from(message, 'utf8');
+
+  if (framing === 'content-length') {
+    return Buffer.concat([ Buffer.from(`Content-Length: ${body.length}\r\n\r\n`, 'ascii'), body ]);
+  }
+
+  if (framing === 'netstring') {
+    return Buffer.concat([ Buffer.from(`${body.length}:`, 'ascii'), body, Buffer.from(',', 'ascii') ]);
+  }
+
+  return Buffer.concat([ body, Buffer.from('\n', 'ascii') ]);
+}
+
+/**
+ * Incremental decoder splitting a byte stream into messages.
+ *
+ * @private
+ */
+class Decoder {
+
+  /**
+   * Initialize a new decoder.
+   *
+   * @param {String} framing - `newline`, `content-length` or `netstring`.
+   */
+  constructor(framing) {
+    this._framing = framing;
+    this._buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Add received data and get the complete messages.
+   *
+   * @param {Buffer|String} chunk - Received data.
+   *
+   * @returns {String[]} Complete messages, in order.
+   *
+   * @throws {Error} Malformed data. The buffered data is discarded.
+   */
+  push(chunk) {
+    this._buffer = Buffer.concat([ this._buffer, (Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8')) ]);
+
+    let messages = [];
+    let message;
+
+    try {
+      while ((message = next.call(this)) !== null) {
+        if (message.length) {
+          messages.push(message);
+        }
+      }
+    } catch (err) {
+      this._buffer = Buffer.alloc(0);
+
+      throw err;
+    }
+
+    return messages;
+  }
+}
+
+/**
+ * Extract the next message from the buffer.
+ *
+ * @returns {String} The message, `null` if incomplete.
+ *
+ * @throws {Error} Malformed data.
+ *
+ * @memberof Decoder
+ * @private
+ */
+function next() {
+  let buffer = this._buffer;
+
+  if (this._framing === 'content-length') {
+    let end = buffer.indexOf(headerSeparator);
+
+    if (end === -1) {
+      return null;
+    }
+
+    let length = null;
+
+    for (let line of buffer.toString('ascii', 0, end).split('\r\n')) {
+      let match = /^content-length\s*:\s*(\d+)\s*$/i.exec(line);
+
+      if (match) {
+        length = parseInt(match[1], 10);
+      }
+    }
+
+    if (length === null) {
+      throw new Error('Missing Content-Length header');
+    }
+
+    let start = end + headerSeparator.length;
+
+    if (buffer.length < start + length) {
+      return null;
+    }
+
+    this._buffer = buffer.slice(start + length);
+
+    return buffer.toString('utf8', start, start + length);
+  }
+
+  if (this._framing === 'netstring') {
+    let colon = buffer.indexOf(':');
+
+    if (colon === -1) {
+      if (!/^\d*$/.test(buffer.toString('ascii'))) {
+        throw new Error('Invalid netstring length');
+      }
+
+      return null;
+    }
+
+    let prefix = buffer.toString('ascii', 0, colon);
+
+    if (!/^\d+$/.test(prefix)) {
+      throw new Error('Invalid netstring length');
+    }
+
+    let length = parseInt(prefix, 10);
+    let start = colon + 1;
+
+    if (buffer.length < start + length + 1) {
+      return null;
+    }
+
+    if (buffer[start + length] !== 0x2c) {
+      throw new Error('Missing netstring terminator');
+    }
+
+    this._buffer = buffer.slice(start + length + 1);
+
+    return buffer.toString('utf8', start, start + length);
+  }
+
+  let end = buffer.indexOf('\n');
+
+  if (end === -1) {
+    return null;
+  }
+
+  this._buffer = buffer.slice(end + 1);
+
+  return buffer.toString('utf8', 0, end).trim();
+}
+
+module.exports = {
+  framings,
+  encode,
+  Decoder
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+const check = require('check-types');
+const EventEmitter = require('events');
+
+/**
+ * In-memory transport connected to a {@link MockServer|`MockServer`}.
+ *
+ * Instances are usually created using {@link MockServer#createTransport|`createTransport`}.
+ *
+ * @class MemoryTransport
+ * @extends EventEmitter
+ *
+ * @example
+ * const { MockServer } = require('@desuuuu/jrpc-client');
+ *
+ * let server = new MockServer();
+ *
+ * let client = new JRPCClient({
+ *   transport: server.createTransport()
+ * });
+ */
+class MemoryTransport extends EventEmitter {
+
+  /**
+   * Initialize a new transport.
+   *
+   * @param {Object} options - Transport options.
+   * @param {MockServer} options.server - Server to send data to.
+   * @param {Boolean} [options.needsConnection=false] - Whether the transport must be connected before sending data.
+   *
+   * @throws {TypeError} Invalid parameter.
+   */
+  constructor({ server, needsConnection = false } = {}) {
+    super();
+
+    check.assert.object(server, 'missing/invalid "server" option');
+    check.assert.function(server.receive, 'missing/invalid "server" option');
+    check.assert.boolean(needsConnection, 'invalid "needsConnection" option');
+
+    this._server = server;
+    this._needsConnection = needsConnection;
+    this._connected = false;
+
+    if (!needsConnection) {
+      server.accept(this);
+    }
+  }
+
+  /**
+   * Whether the transport needs to be connected before sending data.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get needsConnection() {
+    return this._needsConnection;
+  }
+
+  /**
+   * Whether the transport is connected.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get isConnected() {
+    return (!this._needsConnection || this._connected);
+  }
+
+  /**
+   * Connect to the server.
+   *
+   * @promise {Promise} Resolves once connected.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Connection refused by the server.
+   */
+  async connect() {
+    if (this.isConnected) {
+      return;
+    }
+
+    await this._server.accept(this);
+
+    this._connected = true;
+
+    this.emit('connected');
+  }
+
+  /**
+   * Disconnect from the server.
+   *
+   * @promise {Promise} Resolves once disconnected.
+   */
+  async disconnect() {
+    if (!this._needsConnection || !this._connected) {
+      return;
+    }
+
+    this.close(null);
+  }
+
+  /**
+   * Send data to the server.
+   *
+   * @param {String} data - Data to send.
+   *
+   * @promise {Promise} Resolves once the server received the data.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Transport error.
+   */
+  async send(data) {
+    if (!this.isConnected) {
+      throw new Error('Transport not connected');
+    }
+
+    await this._server.receive(this, data);
+  }
+
+  /**
+   * Deliver data to the client.
+   *
+   * @param {*} data - Data to deliver. It is copied beforehand.
+   *
+   * @private
+   */
+  deliver(data) {
+    if (this.isConnected) {
+      this.emit('data', JSON.parse(JSON.stringify(data)));
+    }
+  }
+
+  /**
+   * Close the connection.
+   *
+   * @param {Error} err - Error which caused the disconnection, `null` if none.
+   *
+   * @private
+   */
+  close(err) {
+    if (!this._connected) {
+      return;
+    }
+
+    this._connected = false;
+
+    this._server.release(this);
+
+    this.emit('disconnected', err);
+  }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,311 @@
+'use strict';
+
+const check = require('check-types');
+const EventEmitter = require('events');
+
+/**
+ * Transport carrying messages over a `postMessage` channel, such as a [`Worker`](https://nodejs.org/api/worker_threads.html#worker_threads_class_worker), a [`MessagePort`](https://nodejs.org/api/worker_threads.html#worker_threads_class_messageport) or the `parentPort` of a worker.
+ *
+ * Any object with a `postMessage` method and either `on`/`removeListener` or `addEventListener`/`removeEventListener` methods can be used.
+ *
+ * In structured clone mode, messages are posted as objects instead of JSON strings.
+ *
+ * When the worker exits or the port is closed, the `disconnected` event is fired.
+ *
+ * @class MessagePortTransport
+ * @extends EventEmitter
+ *
+ * @example
+ * const { Worker } = require('worker_threads');
+ * const { MessagePortTransport } = require('@desuuuu/jrpc-client');
+ *
+ * let client = new JRPCClient({
+ *   transport: new MessagePortTransport({
+ *     port: new Worker('./service.js'),
+ *     structuredClone: true
+ *   })
+ * });
+ *
+ * @example
+ * // Inside the worker
+ * const { parentPort } = require('worker_threads');
+ *
+ * let client = new JRPCClient({
+ *   transport: new MessagePortTransport({
+ *     port: parentPort,
+ *     structuredClone: true
+ *   })
+ * });
+ *
+ * client.expose('sum', ([ a, b ]) => a + b);
+ */
+class MessagePortTransport extends EventEmitter {
+
+  /**
+   * Initialize a new transport.
+   *
+   * @param {Object} options - Transport options.
+   * @param {Object} options.port - Worker, port or any other `postMessage` channel.
+   * @param {Boolean} [options.structuredClone=false] - Whether to post messages as objects, relying on the structured clone algorithm instead of JSON.
+   * @param {Boolean} [options.closeOnDisconnect=true] - Whether to terminate the worker (or close the port) when disconnecting.
+   *
+   * @throws {TypeError} Invalid parameter.
+   */
+  constructor({ port, structuredClone = false, closeOnDisconnect = true } = {}) {
+    super();
+
+    check.assert(check.assigned(port) && check.function(port.postMessage), 'missing/invalid "port" option', TypeError);
+    check.assert(check.function(port.on) || check.function(port.addEventListener), 'missing/invalid "port" option', TypeError);
+    check.assert.boolean(structuredClone, 'invalid "structuredClone" option');
+    check.assert.boolean(closeOnDisconnect, 'invalid "closeOnDisconnect" option');
+
+    this._port = port;
+    this._structuredClone = structuredClone;
+    this._closeOnDisconnect = closeOnDisconnect;
+    this._connected = false;
+    this._closed = false;
+    this._cause = null;
+
+    this._listeners = {
+      message: onMessage.bind(this),
+      messageerror: onMessageError.bind(this),
+      error: onError.bind(this),
+      exit: onExit.bind(this),
+      close: onExit.bind(this, 0)
+    };
+  }
+
+  /**
+   * Whether the transport needs to be connected before sending data. Always `true`.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get needsConnection() {
+    return true;
+  }
+
+  /**
+   * Whether the transport is connected.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get isConnected() {
+    return this._connected;
+  }
+
+  /**
+   * Whether messages are passed to {@link MessagePortTransport#send|`send`} as objects.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get objectMode() {
+    return this._structuredClone;
+  }
+
+  /**
+   * Start listening for messages.
+   *
+   * @promise {Promise} Resolves once connected.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} The worker exited or the port was closed.
+   */
+  async connect() {
+    if (this._connected) {
+      return;
+    }
+
+    if (this._closed) {
+      throw new Error('Port closed');
+    }
+
+    let port = this._port;
+
+    for (let event of Object.keys(this._listeners)) {
+      listen(port, event, this._listeners[event]);
+    }
+
+    if (check.function(port.start)) {
+      port.start();
+    }
+
+    this._connected = true;
+
+    this.emit('connected');
+  }
+
+  /**
+   * Stop listening for messages. The worker is terminated (or the port closed) unless `closeOnDisconnect` is `false`.
+   *
+   * @promise {Promise} Resolves once disconnected.
+   */
+  async disconnect() {
+    if (!this._connected) {
+      return;
+    }
+
+    let port = this._port;
+
+    close.call(this, null);
+
+    if (this._closeOnDisconnect) {
+      this._closed = true;
+
+      if (check.function(port.terminate)) {
+        await port.terminate();
+      } else if (check.function(port.close)) {
+        port.close();
+      }
+    }
+  }
+
+  /**
+   * Post a message.
+   *
+   * @param {String|Object} data - Data to send. An object in structured clone mode.
+   *
+   * @promise {Promise} Resolves once posted.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} The message could not be posted.
+   */
+  send(data) {
+    if (!this._connected) {
+      return Promise.reject(new Error('Transport not connected'));
+    }
+
+    try {
+      this._port.postMessage(data);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    return Promise.resolve();
+  }
+}
+
+module.exports = MessagePortTransport;
+
+/**
+ * Add an event listener to a port.
+ *
+ * @param {Object} port - The port.
+ * @param {String} event - Event name.
+ * @param {Function} listener - Event listener.
+ *
+ * @private
+ */
+function listen(port, event, listener) {
+  if (check.function(port.on)) {
+    port.on(event, listener);
+  } else {
+    port.addEventListener(event, listener);
+  }
+}
+
+/**
+ * Remove an event listener from a port.
+ *
+ * @param {Object} port - The port.
+ * @param {String} event - Event name.
+ * @param {Function} listener - Event listener.
+ *
+ * @private
+ */
+function unlisten(port, event, listener) {
+  if (check.function(port.on)) {
+    port.removeListener(event, listener);
+  } else {
+    port.removeEventListener(event, listener);
+  }
+}
+
+/**
+ * Handle a received message.
+ *
+ * @param {*} message - The message, or a `MessageEvent` for `addEventListener` channels.
+ *
+ * @memberof MessagePortTransport
+ * @private
+ */
+function onMessage(message) {
+  if (!check.function(this._port.on)) {
+    message = message.data;
+  }
+
+  if (check.string(message)) {
+    try {
+      message = JSON.parse(message);
+    } catch (err) {
+      return this.emit('error', err);
+    }
+  }
+
+  this.emit('data', message);
+}
+
+/**
+ * Handle a message which could not be deserialized.
+ *
+ * @param {Error} err - The error.
+ *
+ * @memberof MessagePortTransport
+ * @private
+ */
+function onMessageError(err) {
+  this.emit('error', err);
+}
+
+/**
+ * Handle an uncaught exception in the worker. The `exit` event follows.
+ *
+ * @param {Error} err - The error.
+ *
+ * @memberof MessagePortTransport
+ * @private
+ */
+function onError(err) {
+  this._cause = err;
+}
+
+/**
+ * Handle the exit of the worker, or the port closing.
+ *
+ * @param {Number} code - Exit code.
+ *
+ * @memberof MessagePortTransport
+ * @private
+ */
+function onExit(code) {
+  let err = this._cause;
+
+  if (!err && code !== 0) {
+    err = new Error(`Worker exited with code ${code}`);
+  }
+
+  this._closed = true;
+
+  close.call(this, err);
+}
+
+/**
+ * Stop listening and mark the transport as disconnected.
+ *
+ * @param {Error} err - Error which caused the disconnection, `null` if none.
+ *
+ * @memberof MessagePortTransport
+ * @private
+ */
+function close(err) {
+  if (!this._connected) {
+    return;
+  }
+
+  this._connected = false;
+  this._cause = null;
+
+  for (let event of Object.keys(this._listeners)) {
+    unlisten(this._port, event, this._listeners[event]);
+  }
+
+  this.emit('disconnected', err);
+}
@@ -0,0 +1,378 @@
+'use strict';
+
+const check = require('check-types');
+const EventEmitter = require('events');
+const childProcess = require('child_process');
+
+const { framings, encode, Decoder } = require('./framing');
+
+/**
+ * Transport speaking JSON-RPC over a pair of streams, usually the standard input and output of a child process.
+ *
+ * Messages are delimited using one of the following framings:
+ * - `newline`: one JSON message per line.
+ * - `content-length`: `Content-Length` header followed by the message, as used by the Language Server Protocol.
+ * - `netstring`: `<length>:<message>,`.
+ *
+ * The transport needs to be connected. Connecting spawns the child process, or starts reading from the input stream.
+ *
+ * @class StdioTransport
+ * @extends EventEmitter
+ *
+ * @example
+ * const { StdioTransport } = require('@desuuuu/jrpc-client');
+ *
+ * let client = new JRPCClient({
+ *   transport: new StdioTransport({
+ *     command: 'typescript-language-server',
+ *     args: [ '--stdio' ],
+ *     framing: 'content-length'
+ *   })
+ * });
+ *
+ * @example
+ * let client = new JRPCClient({
+ *   transport: new StdioTransport({
+ *     input: process.stdin,
+ *     output: process.stdout
+ *   })
+ * });
+ */
+class StdioTransport extends EventEmitter {
+
+  /**
+   * Initialize a new transport.
+   *
+   * Either `command` or both `input` and `output` must be set.
+   *
+   * @param {Object} options - Transport options.
+   * @param {String} [options.command] - Command of the child process to spawn.
+   * @param {String[]} [options.args=[]] - Arguments of the child process.
+   * @param {Object} [options.spawnOptions={}] - Options passed to [`child_process.spawn`](https://nodejs.org/api/child_process.html#child_process_child_process_spawn_command_args_options). The standard error of the child process is inherited unless `stdio` is set.
+   * @param {ReadableStream} [options.input] - Stream to read messages from.
+   * @param {WritableStream} [options.output] - Stream to write messages to.
+   * @param {String} [options.framing='newline'] - Framing of the messages: `newline`, `content-length` or `netstring`.
+   *
+   * @throws {TypeError} Invalid parameter.
+   */
+  constructor({ command, args = [], spawnOptions = {}, input, output, framing = 'newline' } = {}) {
+    super();
+
+    if (check.assigned(command)) {
+      check.assert.nonEmptyString(command, 'invalid "command" option');
+      check.assert.array.of.string(args, 'invalid "args" option');
+      check.assert.object(spawnOptions, 'invalid "spawnOptions" option');
+    } else {
+      check.assert(check.object(input) && check.function(input.on), 'missing/invalid "input" option', TypeError);
+      check.assert(check.object(output) && check.function(output.write), 'missing/invalid "output" option', TypeError);
+    }
+
+    check.assert.includes(framings, framing, 'invalid "framing" option');
+
+    this._command = command;
+    this._args = args;
+    this._spawnOptions = spawnOptions;
+    this._input = input;
+    this._output = output;
+    this._framing = framing;
+    this._process = null;
+    this._reader = null;
+    this._writer = null;
+    this._decoder = null;
+    this._connected = false;
+    this._connecting = null;
+
+    this._onData = onData.bind(this);
+    this._onEnd = onEnd.bind(this);
+    this._onStreamError = onStreamError.bind(this);
+  }
+
+  /**
+   * Whether the transport needs to be connected before sending data. Always `true`.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get needsConnection() {
+    return true;
+  }
+
+  /**
+   * Whether the transport is connected.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get isConnected() {
+    return this._connected;
+  }
+
+  /**
+   * The spawned child process, `null` if none.
+   *
+   * @type {ChildProcess}
+   * @readonly
+   */
+  get process() {
+    return this._process;
+  }
+
+  /**
+   * Spawn the child process, or start reading from the input stream.
+   *
+   * Concurrent calls share the same connection attempt.
+   *
+   * @promise {Promise} Resolves once connected.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} The child process could not be spawned.
+   */
+  connect() {
+    if (this._connected) {
+      return Promise.resolve();
+    }
+
+    if (!this._connecting) {
+      this._connecting = open.call(this).then(() => {
+        this._connecting = null;
+      }, (err) => {
+        this._connecting = null;
+
+        throw err;
+      });
+    }
+
+    return this._connecting;
+  }
+
+  /**
+   * Terminate the child process, or stop reading from the input stream.
+   *
+   * @promise {Promise} Resolves once disconnected.
+   */
+  async disconnect() {
+    if (this._connecting) {
+      await this._connecting.catch(() => undefined);
+    }
+
+    if (!this._connected) {
+      return;
+    }
+
+    let child = this._process;
+
+    if (child) {
+      let exited = new Promise(resolve => child.once('exit', resolve));
+
+      this._process = null;
+
+      child.stdin.end();
+      child.kill();
+
+      await exited;
+    }
+
+    close.call(this, null);
+  }
+
+  /**
+   * Send a message.
+   *
+   * @param {String} data - Data to send.
+   *
+   * @promise {Promise} Resolves once the data has been written.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Write error.
+   */
+  send(data) {
+    if (!this._connected) {
+      return Promise.reject(new Error('Transport not connected'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this._writer.write(encode(this._framing, data), (err) => {
+        if (err) {
+          return reject(err);
+        }
+
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = StdioTransport;
+
+/**
+ * Spawn the child process, or start reading from the input stream, and mark the transport as connected.
+ *
+ * @promise {Promise} Resolves once connected.
+ * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} The child process could not be spawned.
+ *
+ * @memberof StdioTransport
+ * @private
+ */
+async function open() {
+  let input = this._input;
+  let output = this._output;
+
+  if (this._command) {
+    let child = await spawn(this._command, this._args, this._spawnOptions);
+
+    this._process = child;
+
+    child.on('exit', onExit.bind(this, child));
+    child.on('error', this._onStreamError);
+
+    input = child.stdout;
+    output = child.stdin;
+  }
+
+  this._decoder = new Decoder(this._framing);
+  this._reader = input;
+  this._writer = output;
+  this._connected = true;
+
+  input.on('data', this._onData);
+  input.on('end', this._onEnd);
+  input.on('error', this._onStreamError);
+  output.on('error', this._onStreamError);
+
+  this.emit('connected');
+}
+
+/**
+ * Spawn a child process.
+ *
+ * @param {String} command - Command to run.
+ * @param {String[]} args - Arguments.
+ * @param {Object} options - Spawn options.
+ *
+ * @promise {Promise} Resolves once spawned.
+ * @resolve {ChildProcess} The child process.
+ * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Spawn error.
+ *
+ * @private
+ */
+function spawn(command, args, options) {
+  return new Promise((resolve, reject) => {
+    let child = childProcess.spawn(command, args, Object.assign({
+      stdio: [ 'pipe', 'pipe', 'inherit' ]
+    }, options));
+
+    child.once('error', reject);
+
+    setImmediate(() => {
+      child.removeListener('error', reject);
+
+      if (child.pid === undefined) {
+        return reject(new Error(`Failed to spawn "${command}"`));
+      }
+
+      resolve(child);
+    });
+  });
+}
+
+/**
+ * Handle data received on the input stream.
+ *
+ * @param {Buffer} chunk - Received data.
+ *
+ * @memberof StdioTransport
+ * @private
+ */
+function onData(chunk) {
+  let messages;
+
+  try {
+    messages = this._decoder.push(chunk);
+  } catch (err) {
+    return this.emit('error', err);
+  }
+
+  for (let message of messages) {
+    let data;
+
+    try {
+      data = JSON.parse(message);
+    } catch (err) {
+      this.emit('error', err);
+
+      continue;
+    }
+
+    this.emit('data', data);
+  }
+}
+
+/**
+ * Handle the end of the input stream.
+ *
+ * @memberof StdioTransport
+ * @private
+ */
+function onEnd() {
+  if (!this._process) {
+    close.call(this, null);
+  }
+}
+
+/**
+ * Handle an error on one of the streams.
+ *
+ * @param {Error} err - The error.
+ *
+ * @memberof StdioTransport
+ * @private
+ */
+function onStreamError(err) {
+  this.emit('error', err);
+}
+
+/**
+ * Handle the exit of the child process.
+ *
+ * @param {ChildProcess} child - The child process.
+ * @param {Number} code - Exit code.
+ * @param {String} signal - Signal which terminated the process.
+ *
+ * @memberof StdioTransport
+ * @private
+ */
+function onExit(child, code, signal) {
+  if (this._process !== child || !this._connected) {
+    return;
+  }
+
+  let err = null;
+
+  if (code !== 0) {
+    err = new Error(`Process exited with ${(signal ? `signal ${signal}` : `code ${code}`)}`);
+  }
+
+  close.call(this, err);
+}
+
+/**
+ * Stop reading and mark the transport as disconnected.
+ *
+ * @param {Error} err - Error which caused the disconnection, `null` if none.
+ *
+ * @memberof StdioTransport
+ * @private
+ */
+function close(err) {
+  if (!this._connected) {
+    return;
+  }
+
+  this._connected = false;
+
+  this._reader.removeListener('data', this._onData);
+  this._reader.removeListener('end', this._onEnd);
+  this._reader.removeListener('error', this._onStreamError);
+  this._writer.removeListener('error', this._onStreamError);
+
+  this._process = null;
+  this._decoder = null;
+
+  this.emit('disconnected', err);
+}
@@ -0,0 +1,235 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const opcodes = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+/**
+ * Encode a WebSocket frame.
+ *
+ * @param {Number} opcode - Frame opcode.
+ * @param {Buffer} payload - Frame payload.
+ * @param {Boolean} mask - Whether to mask the payload, as required for frames sent by clients.
+ *
+ * @returns {Buffer} Encoded frame.
+ *
+ * @private
+ */
+function encode(opcode, payload, mask) {
+  let length = payload.length;
+  let headerLength = 2;
+
+  if (length > 0xffff) {
+    headerLength += 8;
+  } else if (length > 125) {
+    headerLength += 2;
+  }
+
+  let header = Buffer.alloc(headerLength + (mask ? 4 : 0));
+
+  header[0] = 0x80 | opcode;
+
+  if (length > 0xffff) {
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+    header.writeUInt32BE(length % 0x100000000, 6);
+  } else if (length > 125) {
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header[1] = length;
+  }
+
+  if (!mask) {
+    return Buffer.concat([ header, payload ]);
+  }
+
+  header[1] |= 0x80;
+
+  let key = crypto.randomBytes(4);
+
+  key.copy(header, headerLength);
+
+  let masked = Buffer.alloc(length);
+
+  for (let i = 0; i < length; i++) {
+    masked[i] = payload[i] ^ key[i & 3];
+  }
+
+  return Buffer.concat([ header, masked ]);
+}
+
+/**
+ * Encode the payload of a close frame.
+ *
+ * @param {Number} code - Close code.
+ * @param {String} [reason=''] - Close reason.
+ *
+ * @returns {Buffer} Encoded payload.
+ *
+ * @private
+ */
+function encodeClose(code, reason = '') {
+  let payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+
+  payload.writeUInt16BE(code, 0);
+  payload.write(reason, 2);
+
+  return payload;
+}
+
+/**
+ * Incremental WebSocket frame parser.
+ *
+ * @private
+ */
+class Parser {
+
+  /**
+   * Initialize a new parser.
+   *
+   * @param {Number} maxPayload - Maximum payload size, in bytes.
+   */
+  constructor(maxPayload) {
+    this._maxPayload = maxPayload;
+    this._buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Add received data and get the complete frames.
+   *
+   * @param {Buffer} chunk - Received data.
+   *
+   * @returns {Object[]} Frames with `fin`, `opcode`, `masked` and `payload` properties.
+   *
+   * @throws {Error} Invalid frame. The `closeCode` property holds the matching close code.
+   */
+  push(chunk) {
+    this._buffer = Buffer.concat([ this._buffer, chunk ]);
+
+    let frames = [];
+    let frame;
+
+    while ((frame = next.call(this)) !== null) {
+      frames.push(frame);
+    }
+
+    return frames;
+  }
+}
+
+/**
+ * Extract the next frame from the buffer.
+ *
+ * @returns {Object} The frame, `null` if incomplete.
+ *
+ * @throws {Error} Invalid frame.
+ *
+ * @memberof Parser
+ * @private
+ */
+function next() {
+  let buffer = this._buffer;
+
+  if (buffer.length < 2) {
+    return null;
+  }
+
+  if (buffer[0] & 0x70) {
+    throw protocolError('Reserved bits must be clear', 1002);
+  }
+
+  let fin = !!(buffer[0] & 0x80);
+  let opcode = buffer[0] & 0x0f;
+  let masked = !!(buffer[1] & 0x80);
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) {
+      return null;
+    }
+
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) {
+      return null;
+    }
+
+    length = (buffer.readUInt32BE(2) * 0x100000000) + buffer.readUInt32BE(6);
+    offset = 10;
+  }
+
+  if (length > this._maxPayload) {
+    throw protocolError('Payload too large', 1009);
+  }
+
+  if ((opcode & 0x8) && (!fin || length > 125)) {
+    throw protocolError('Invalid control frame', 1002);
+  }
+
+  let key = null;
+
+  if (masked) {
+    if (buffer.length < offset + 4) {
+      return null;
+    }
+
+    key = buffer.slice(offset, offset + 4);
+    offset += 4;
+  }
+
+  if (buffer.length < offset + length) {
+    return null;
+  }
+
+  let payload = Buffer.from(buffer.slice(offset, offset + length));
+
+  if (key) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= key[i & 3];
+    }
+  }
+
+  this._buffer = buffer.slice(offset + length);
+
+  return {
+    fin,
+    opcode,
+    masked,
+    payload
+  };
+}
+
+/**
+ * Create a protocol error.
+ *
+ * @param {String} message - Error message.
+ * @param {Number} closeCode - Matching close code.
+ *
+ * @returns {Error} The error.
+ *
+ * @private
+ */
+function protocolError(message, closeCode) {
+  let err = new Error(message);
+
+  err.closeCode = closeCode;
+
+  return err;
+}
+
+module.exports = {
+  opcodes,
+  encode,
+  encodeClose,
+  Parser
+};
@@ -0,0 +1,540 @@
+'use strict';
+
+const check = require('check-types');
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const url = require('url');
+
+const { opcodes, encode, encodeClose, Parser } = require('./websocket-frame');
+const { CloseError } = require('../errors');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * WebSocket transport, implemented on top of the `http` and `https` modules.
+ *
+ * Messages are sent as text frames. The connection is kept alive using ping frames. When the connection is closed by the server or lost, the `disconnected` event is fired with a {@link CloseError|`CloseError`} holding the close code and reason.
+ *
+ * @class WebSocketTransport
+ * @extends EventEmitter
+ *
+ * @example
+ * const { WebSocketTransport } = require('@desuuuu/jrpc-client');
+ *
+ * let client = new JRPCClient({
+ *   transport: new WebSocketTransport({
+ *     url: 'wss://example.com/rpc',
+ *     protocols: [ 'jsonrpc-2.0' ]
+ *   })
+ * });
+ *
+ * client.on('disconnected', (err) => {
+ *   if (err) {
+ *     console.log(err.code, err.reason);
+ *   }
+ * });
+ */
+class WebSocketTransport extends EventEmitter {
+
+  /**
+   * Initialize a new transport.
+   *
+   * @param {Object} options - Transport options.
+   * @param {String} options.url - Server URL, using the `ws` or `wss` scheme.
+   * @param {String[]} [options.protocols=[]] - Subprotocols to offer to the server, by order of preference.
+   * @param {Object} [options.headers={}] - Extra headers sent with the handshake.
+   * @param {Object} [options.requestOptions={}] - Extra options passed to [`http.request`](https://nodejs.org/api/http.html#http_http_request_options_callback) or [`https.request`](https://nodejs.org/api/https.html#https_https_request_options_callback), such as `agent` or TLS options.
+   * @param {Number} [options.handshakeTimeout=10000] - Maximum duration of the handshake, in milliseconds.
+   * @param {Number} [options.pingInterval=30000] - Interval between ping frames, in milliseconds. The connection is considered lost when a ping is not answered before the next one. Use `0` to disable.
+   * @param {Number} [options.maxPayload=104857600] - Maximum size of a received message, in bytes.
+   *
+   * @throws {TypeError} Invalid parameter.
+   */
+  constructor({ url: address, protocols = [], headers = {}, requestOptions = {}, handshakeTimeout = 10000, pingInterval = 30000, maxPayload = 104857600 } = {}) {
+    super();
+
+    check.assert(check.string(address) && /^wss?:\/\//i.test(address), 'missing/invalid "url" option', TypeError);
+    check.assert.array.of.nonEmptyString(protocols, 'invalid "protocols" option');
+    check.assert.object(headers, 'invalid "headers" option');
+    check.assert.object(requestOptions, 'invalid "requestOptions" option');
+    check.assert.greater(handshakeTimeout, 0, 'invalid "handshakeTimeout" option');
+    check.assert.greaterOrEqual(pingInterval, 0, 'invalid "pingInterval" option');
+    check.assert.greater(maxPayload, 0, 'invalid "maxPayload" option');
+
+    this._url = address;
+    this._protocols = protocols;
+    this._headers = headers;
+    this._requestOptions = requestOptions;
+    this._handshakeTimeout = handshakeTimeout;
+    this._pingInterval = pingInterval;
+    this._maxPayload = maxPayload;
+    this._socket = null;
+    this._protocol = null;
+    this._connecting = null;
+  }
+
+  /**
+   * Whether the transport needs to be connected before sending data. Always `true`.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get needsConnection() {
+    return true;
+  }
+
+  /**
+   * Whether the transport is connected.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  get isConnected() {
+    return (this._socket !== null && !this._closing);
+  }
+
+  /**
+   * Subprotocol selected by the server, `null` if none.
+   *
+   * @type {String}
+   * @readonly
+   */
+  get protocol() {
+    return this._protocol;
+  }
+
+  /**
+   * Open the connection.
+   *
+   * Concurrent calls share the same connection attempt.
+   *
+   * @promise {Promise} Resolves once the handshake is complete.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Connection or handshake error.
+   */
+  connect() {
+    if (this._socket) {
+      return Promise.resolve();
+    }
+
+    if (!this._connecting) {
+      this._connecting = open.call(this).then(() => {
+        this._connecting = null;
+      }, (err) => {
+        this._connecting = null;
+
+        throw err;
+      });
+    }
+
+    return this._connecting;
+  }
+
+  /**
+   * Close the connection.
+   *
+   * @param {Number} [code=1000] - Close code.
+   * @param {String} [reason=''] - Close reason.
+   *
+   * @promise {Promise} Resolves once disconnected.
+   */
+  disconnect(code = 1000, reason = '') {
+    if (this._connecting) {
+      return this._connecting.then(() => this.disconnect(code, reason), () => undefined);
+    }
+
+    if (!this._socket) {
+      return Promise.resolve();
+    }
+
+    let disconnected = new Promise(resolve => this.once('disconnected', () => resolve()));
+
+    this._requested = true;
+
+    close.call(this, code, reason);
+
+    return disconnected;
+  }
+
+  /**
+   * Send a message as a text frame.
+   *
+   * @param {String} data - Data to send.
+   *
+   * @promise {Promise} Resolves once the data has been written.
+   * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Write error.
+   */
+  send(data) {
+    if (!this.isConnected) {
+      return Promise.reject(new Error('Transport not connected'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this._socket.write(encode(opcodes.TEXT, Buffer.from(data, 'utf8'), true), (err) => {
+        if (err) {
+          return reject(err);
+        }
+
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = WebSocketTransport;
+
+/**
+ * Perform the opening handshake and set up the connection.
+ *
+ * @promise {Promise} Resolves once the handshake is complete.
+ * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Connection or handshake error.
+ *
+ * @memberof WebSocketTransport
+ * @private
+ */
+async function open() {
+  let { socket, head, protocol } = await handshake.call(this);
+
+  this._socket = socket;
+  this._protocol = protocol;
+  this._parser = new Parser(this._maxPayload);
+  this._fragments = null;
+  this._closing = false;
+  this._requested = false;
+  this._closeInfo = null;
+  this._closeTimer = null;
+  this._awaitingPong = false;
+  this._pingTimer = null;
+
+  socket.setNoDelay(true);
+  socket.setTimeout(0);
+
+  socket.on('data', onSocketData.bind(this));
+  socket.on('error', onSocketError.bind(this));
+  socket.on('close', onSocketClose.bind(this, socket));
+
+  if (this._pingInterval > 0) {
+    this._pingTimer = setInterval(ping.bind(this), this._pingInterval);
+  }
+
+  this.emit('connected');
+
+  if (head && head.length) {
+    onSocketData.call(this, head);
+  }
+}
+
+/**
+ * Perform the opening handshake.
+ *
+ * @promise {Promise} Resolves once upgraded.
+ * @resolve {Object} The `socket`, the first bytes received (`head`) and the selected `protocol`.
+ * @reject {Error https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error} Connection or handshake error.
+ *
+ * @memberof WebSocketTransport
+ * @private
+ */
+function handshake() {
+  return new Promise((resolve, reject) => {
+    let { protocol, hostname, port, path } = url.parse(this._url);
+    let secure = (protocol.toLowerCase() === 'wss:');
+    let key = crypto.randomBytes(16).toString('base64');
+
+    let headers = Object.assign({}, this._headers, {
+      'Connection': 'Upgrade',
+      'Upgrade': 'websocket',
+      'Sec-WebSocket-Key': key,
+      'Sec-WebSocket-Version': '13'
+    });
+
+    if (this._protocols.length) {
+      headers['Sec-WebSocket-Protocol'] = this._protocols.join(', ');
+    }
+
+    let request = (secure ? https : http).request(Object.assign({}, this._requestOptions, {
+      hostname,
+      port: (port || (secure ? 443 : 80)),
+      path,
+      headers
+    }));
+
+    let timer = setTimeout(() => {
+      fail(new Error('Handshake timed out'));
+    }, this._handshakeTimeout);
+
+    let done = false;
+
+    let fail = (err) => {
+      if (done) {
+        return;
+      }
+
+      done = true;
+
+      clearTimeout(timer);
+
+      request.abort();
+
+      reject(err);
+    };
+
+    request.on('error', fail);
+
+    request.on('response', (res) => {
+      res.resume();
+
+      fail(new Error(`Unexpected response status ${res.statusCode}`));
+    });
+
+    request.on('upgrade', (res, socket, head) => {
+      if (done) {
+        return socket.destroy();
+      }
+
+      let accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+      let selected = (res.headers['sec-websocket-protocol'] || null);
+
+      let err = null;
+
+      if (String(res.headers.upgrade).toLowerCase() !== 'websocket') {
+        err = new Error('Invalid Upgrade header');
+      } else if (res.headers['sec-websocket-accept'] !== accept) {
+        err = new Error('Invalid Sec-WebSocket-Accept header');
+      } else if (selected !== null && this._protocols.indexOf(selected) === -1) {
+        err = new Error(`Server selected an unknown subprotocol "${selected}"`);
+      }
+
+      if (err) {
+        socket.destroy();
+
+        return fail(err);
+      }
+
+      done = true;
+
+      clearTimeout(timer);
+
+      resolve({
+        socket,
+        head,
+        protocol: selected
+      });
+    });
+
+    request.end();
+  });
+}
+
+/**
+ * Handle data received on the socket.
+ *
+ * @param {Buffer} chunk - Received data.
+ *
+ * @memberof WebSocketTransport
+ * @private
+ */
+function onSocketData(chunk) {
+  if (!this._socket) {
+    return;
+  }
+
+  let frames;
+
+  try {
+    frames = this._parser.push(chunk);
+  } catch (err) {
+    return close.call(this, err.closeCode, err.message);
+  }
+
+  for (let frame of frames) {
+    if (frame.masked) {
+      return close.call(this, 1002, 'Masked frame from server');
+    }
+
+    switch (frame.opcode) {
+      case opcodes.PING:
+        if (!this._closing) {
+          this._socket.write(encode(opcodes.PONG, frame.payload, true));
+        }
+
+        break;
+
+      case opcodes.PONG:
+        this._awaitingPong = false;
+
+        break;
+
+      case opcodes.CLOSE:
+        return onClose.call(this, frame.payload);
+
+      case opcodes.TEXT:
+      case opcodes.BINARY:
+        if (this._fragments) {
+          return close.call(this, 1002, 'Expected continuation frame');
+        }
+
+        this._fragments = [];
+
+        /* falls through */
+      case opcodes.CONTINUATION:
+        if (!this._fragments) {
+          return close.call(this, 1002, 'Unexpected continuation frame');
+        }
+
+        this._fragments.push(frame.payload);
+
+        if (frame.fin) {
+          let message = Buffer.concat(this._fragments);
+
+          this._fragments = null;
+
+          onMessage.call(this, message);
+        }
+
+        break;
+
+      default:
+        return close.call(this, 1002, 'Unknown opcode');
+    }
+  }
+}
+
+/**
+ * Handle a complete message.
+ *
+ * @param {Buffer} message - The message.
+ *
+ * @memberof WebSocketTransport
+ * @private
+ */
+function onMessage(message) {
+  let data;
+
+  try {
+    data = JSON.parse(message.toString('utf8'));
+  } catch (err) {
+    return this.emit('error', err);
+  }
+
+  this.emit('data', data);
+}
+
+/**
+ * Handle a close frame.
+ *
+ * @param {Buffer} payload - Frame payload.
+ *
+ * @memberof WebSocketTransport
+ * @private
+ */
+function onClose(payload) {
+  let code = 1005;
+  let reason = '';
+
+  if (payload.length >= 2) {
+    code = payload.readUInt16BE(0);
+    reason = payload.toString('utf8', 2);
+  }
+
+  if (!this._closeInfo) {
+    this._closeInfo = { code, reason };
+  }
+
+  if (!this._closing) {
+    this._closing = true;
+
+    this._socket.write(encode(opcodes.CLOSE, (code === 1005 ? Buffer.alloc(0) : encodeClose(code)), true));
+  }
+
+  this._socket.end();
+}
+
+/**
+ * Send a close frame, then end the connection.
+ *
+ * @param {Number} code - Close code.
+ * @param {String} reason - Close reason.
+ *
+ * @memberof WebSocketTransport
+ * @private
+ */
+function close(code, reason) {
+  let socket = this._socket;
+
+  if (this._closing) {
+    return;
+  }
+
+  this._closing = true;
+  this._closeInfo = { code, reason };
+
+  socket.write(encode(opcodes.CLOSE, encodeClose(code, reason), true));
+
+  this._closeTimer = setTimeout(() => {
+    socket.destroy();
+  }, 5000);
+}
+
+/**
+ * Send a ping frame, or drop the connection if the previous one was not answered.
+ *
+ * @memberof WebSocketTransport
+ * @private
+ */
+function ping() {
+  if (this._closing) {
+    return;
+  }
+
+  if (this._awaitingPong) {
+    this._closeInfo = { code: 1006, reason: 'Ping timeout' };
+
+    return this._socket.destroy();
+  }
+
+  this._awaitingPong = true;
+
+  this._socket.write(encode(opcodes.PING, Buffer.alloc(0), true));
+}
+
+/**
+ * Handle a socket error.
+ *
+ * @param {Error} err - The error.
+ *
+ * @memberof WebSocketTransport
+ * @private
+ */
+function onSocketError(err) {
+  if (!this._closeInfo) {
+    this._closeInfo = { code: 1006, reason: err.message };
+  }
+}
+
+/**
+ * Handle the socket closing.
+ *
+ * @param {net.Socket} socket - The socket.
+ *
+ * @memberof WebSocketTransport
+ * @private
+ */
+function onSocketClose(socket) {
+  if (this._socket !== socket) {
+    return;
+  }
+
+  clearInterval(this._pingTimer);
+  clearTimeout(this._closeTimer);
+
+  let info = (this._closeInfo || { code: 1006, reason: '' });
+  let err = (this._requested ? null : new CloseError(info.code, info.reason));
+
+  this._socket = null;
+  this._protocol = null;
+  this._parser = null;
+  this._fragments = null;
+
+  this.emit('disconnected', err);
+}